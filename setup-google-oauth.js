@@ -4,15 +4,24 @@ import { google } from 'googleapis';
 import fs from 'fs-extra';
 import readline from 'readline';
 import chalk from 'chalk';
-
-const SCOPES = ['https://www.googleapis.com/auth/calendar.readonly'];
-const TOKEN_PATH = './data/google-token.json';
+import configManager from './src/config/config.js';
+import {
+  GOOGLE_SCOPES,
+  GOOGLE_TOKEN_PATH,
+  getGoogleScopes,
+  getMissingGoogleScopes,
+  loadGoogleToken,
+  saveGoogleToken,
+} from './src/utils/google-auth.js';
 
 async function setupGoogleOAuth() {
   try {
     console.log(chalk.blue('🔧 Google Calendar OAuth Setup'));
     console.log('===============================\n');
 
+    const config = await configManager.load();
+    const scopes = getGoogleScopes(config);
+
     // Check if credentials file exists
     const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
     if (!credentialsPath) {
@@ -58,7 +67,15 @@ async function setupGoogleOAuth() {
     );
 
     // Check if we already have a token
-    if (await fs.pathExists(TOKEN_PATH)) {
+    const existingToken = await loadGoogleToken();
+    const missingScopes = existingToken ? getMissingGoogleScopes(existingToken, scopes) : scopes;
+
+    if (existingToken && missingScopes.length > 0) {
+      // Incremental authorization: keep what was granted and add the rest
+      console.log(chalk.yellow('⚠️  Existing token does not cover all enabled Google integrations'));
+      missingScopes.forEach(scope => console.log(chalk.gray(`  - ${scope}`)));
+      console.log(chalk.blue('Requesting the additional access...'));
+    } else if (existingToken) {
       console.log(chalk.yellow('⚠️  Existing token found'));
       const rl = readline.createInterface({
         input: process.stdin,
@@ -72,7 +89,7 @@ async function setupGoogleOAuth() {
 
       if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
         console.log(chalk.green('✅ Using existing token'));
-        await testToken();
+        await testToken(config);
         return;
       }
     }
@@ -80,7 +97,8 @@ async function setupGoogleOAuth() {
     // Generate authorization URL
     const authUrl = oAuth2Client.generateAuthUrl({
       access_type: 'offline',
-      scope: SCOPES,
+      scope: scopes,
+      include_granted_scopes: true, // Upgrade rather than replace an existing grant
       prompt: 'consent', // Force consent to get refresh token
       response_type: 'code',
     });
@@ -125,14 +143,16 @@ async function setupGoogleOAuth() {
       
       console.log(chalk.green('✅ Tokens received successfully'));
     
-      // Save tokens
-      await fs.ensureDir('./data');
-      await fs.writeJson(TOKEN_PATH, tokens, { spaces: 2 });
+      // Save tokens; Google may omit the refresh token when only adding scopes
+      await saveGoogleToken({
+        ...tokens,
+        refresh_token: tokens.refresh_token || existingToken?.refresh_token,
+      });
       
-      console.log(chalk.green(`✅ Token saved to ${TOKEN_PATH}`));
+      console.log(chalk.green(`✅ Token saved to ${GOOGLE_TOKEN_PATH}`));
 
       // Test the token
-      await testToken();
+      await testToken(config);
 
       console.log(chalk.green('\n🎉 Google Calendar OAuth setup complete!'));
       console.log(chalk.blue('You can now run: node src/cli.js sync --integration gcal'));
@@ -162,7 +182,7 @@ async function setupGoogleOAuth() {
   }
 }
 
-async function testToken() {
+async function testToken(config) {
   try {
     console.log(chalk.blue('\n🧪 Testing Google Calendar access...'));
     
@@ -185,7 +205,7 @@ async function testToken() {
       redirectUri
     );
 
-    const token = await fs.readJson(TOKEN_PATH);
+    const token = await loadGoogleToken();
     oAuth2Client.setCredentials(token);
 
     const calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
@@ -203,6 +223,18 @@ async function testToken() {
       console.log(chalk.gray(`  ... and ${calendars.length - 5} more`));
     }
 
+    if (config.integrations.gdrive?.enabled) {
+      console.log(chalk.blue('\n🧪 Testing Google Drive activity access...'));
+
+      if (getMissingGoogleScopes(token, GOOGLE_SCOPES.gdrive).length > 0) {
+        throw new Error('Drive access was not granted');
+      }
+
+      const driveActivity = google.driveactivity({ version: 'v2', auth: oAuth2Client });
+      const activity = await driveActivity.activity.query({ requestBody: { pageSize: 5 } });
+      console.log(chalk.green(`✅ Drive activity accessible (${(activity.data.activities || []).length} recent actions)`));
+    }
+
   } catch (error) {
     console.log(chalk.red('❌ Token test failed:'), error.message);
     console.log(chalk.yellow('You may need to re-run the OAuth setup'));
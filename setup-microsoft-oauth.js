@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import readline from 'readline';
+import chalk from 'chalk';
+import configManager from './src/config/config.js';
+import {
+  MICROSOFT_TOKEN_PATH,
+  getMicrosoftAuthConfig,
+  getMicrosoftAccessToken,
+  requestDeviceCode,
+  pollForToken,
+  saveMicrosoftToken,
+} from './src/utils/microsoft-auth.js';
+
+async function setupMicrosoftOAuth() {
+  try {
+    console.log(chalk.blue('🔧 Microsoft 365 Calendar OAuth Setup'));
+    console.log('=====================================\n');
+
+    const config = await configManager.load();
+    const auth = getMicrosoftAuthConfig(config.integrations.outlook);
+    if (!auth.clientId) {
+      console.log(chalk.red('❌ MS_CLIENT_ID not set in .env file'));
+      console.log('Register an app in Microsoft Entra ID (public client flows enabled) and add its client ID to .env');
+      process.exit(1);
+    }
+
+    console.log(chalk.blue(`Using tenant: ${auth.tenantId}`));
+
+    // Check if we already have a token
+    if (await fs.pathExists(MICROSOFT_TOKEN_PATH)) {
+      console.log(chalk.yellow('⚠️  Existing token found'));
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+
+      const answer = await new Promise(resolve => {
+        rl.question('Do you want to regenerate the token? (y/N): ', resolve);
+      });
+      rl.close();
+
+      if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
+        console.log(chalk.green('✅ Using existing token'));
+        await testToken(auth);
+        return;
+      }
+    }
+
+    // Start the device code flow
+    const deviceCode = await requestDeviceCode(auth);
+
+    console.log(chalk.blue('\n🌐 Sign in with your work account:'));
+    console.log(chalk.cyan(deviceCode.message));
+
+    // Try to open in browser
+    try {
+      const { default: open } = await import('open');
+      await open(deviceCode.verification_uri);
+    } catch (error) {
+      console.log(chalk.yellow('Could not open browser automatically'));
+    }
+
+    console.log(chalk.blue('\n⏳ Waiting for you to complete sign-in...'));
+    const tokens = await pollForToken(auth, deviceCode);
+
+    console.log(chalk.green('✅ Tokens received successfully'));
+
+    await saveMicrosoftToken(tokens);
+    console.log(chalk.green(`✅ Token saved to ${MICROSOFT_TOKEN_PATH}`));
+
+    // Test the token
+    await testToken(auth);
+
+    console.log(chalk.green('\n🎉 Microsoft 365 Calendar OAuth setup complete!'));
+    console.log(chalk.blue('You can now run: node src/cli.js sync --integration outlook'));
+
+  } catch (error) {
+    console.error(chalk.red('❌ Setup failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function testToken(auth) {
+  try {
+    console.log(chalk.blue('\n🧪 Testing Microsoft 365 calendar access...'));
+
+    const accessToken = await getMicrosoftAccessToken(auth);
+    const response = await fetch('https://graph.microsoft.com/v1.0/me/calendars?$select=name', {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} - ${await response.text()}`);
+    }
+
+    const calendars = (await response.json()).value || [];
+
+    console.log(chalk.green(`✅ Successfully connected! Found ${calendars.length} calendars:`));
+    calendars.slice(0, 5).forEach(cal => {
+      console.log(chalk.gray(`  - ${cal.name}`));
+    });
+
+    if (calendars.length > 5) {
+      console.log(chalk.gray(`  ... and ${calendars.length - 5} more`));
+    }
+
+  } catch (error) {
+    console.log(chalk.red('❌ Token test failed:'), error.message);
+    console.log(chalk.yellow('You may need to re-run the OAuth setup'));
+  }
+}
+
+// Handle the script being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  import('dotenv').then(({ default: dotenv }) => {
+    dotenv.config();
+    setupMicrosoftOAuth();
+  });
+}
+
+export { setupMicrosoftOAuth };
@@ -7,18 +7,108 @@ import { subDays, addDays, addMonths, endOfDay, format, startOfMonth, endOfMonth
 
 import configManager from './config/config.js';
 import StorageService from './services/storage.js';
-import SlackSearchIntegration from './integrations/slack-search.js';
-import GitHubIntegration from './integrations/github.js';
-import GCalIntegration from './integrations/gcal.js';
-import JiraIntegration from './integrations/jira.js';
+import { listIntegrations, loadIntegrations, selectIntegrations, validateCredentials } from './integrations/registry.js';
 import AIService from './services/ai.js';
 import JournalService from './services/journal.js';
-import { validateGCalTokenBeforeRun } from './utils/token-validator.js';
+import { aggregateRecurringMeetings, aggregateAttendees } from './utils/calendar.js';
 
 dotenv.config();
 
 const program = new Command();
 
+// Plugins aren't loaded until a command runs, so help can only list built-in ids
+const integrationIds = `${listIntegrations().map(Integration => Integration.id).join('|')}, or a plugin id`;
+
+async function syncIntegrations(selected, config, storage, startDate, endDate) {
+  for (const Integration of selected) {
+    const integration = new Integration(config, storage);
+    console.log(chalk.yellow(`Syncing ${integration.name}...`));
+    try {
+      await integration.sync(startDate, endDate);
+    } finally {
+      if (integration.api) {
+        console.log(chalk.gray(`   ${integration.name}: ${integration.api.summary()}`));
+      }
+    }
+    console.log(chalk.green(`✅ ${integration.name} sync completed`));
+  }
+}
+
+async function loadRawActivities(storage, kind, startDate, endDate) {
+  const activities = [];
+  for (const Integration of listIntegrations().filter(Integration => Integration.kind === kind)) {
+    const dataByDate = await storage.getRawDataForDateRange(
+      Integration.id,
+      format(startDate, 'yyyy-MM-dd'),
+      format(endDate, 'yyyy-MM-dd'),
+    );
+    for (const { data } of Object.values(dataByDate)) {
+      activities.push(...(data || []));
+    }
+  }
+  return activities;
+}
+
+// Meeting statistics computed from raw calendar data rather than left to the
+// model: recurring meetings summed per series (so standups and 1:1s read as one
+// commitment), who you met with most, and time in meetings with external people
+function formatMeetingStats(events) {
+  let stats = '';
+
+  const recurringMeetings = aggregateRecurringMeetings(events);
+  if (recurringMeetings.length > 0) {
+    stats += `\n**Recurring meetings:**\n${recurringMeetings.map(meeting => `- ${meeting.title}: ${meeting.occurrences} occurrences, ${meeting.hours.toFixed(1)}h`).join('\n')}\n`;
+  }
+
+  const attendees = aggregateAttendees(events).slice(0, 10);
+  if (attendees.length > 0) {
+    stats += `\n**Met with most:**\n${attendees.map(person => `- ${person.name}${person.internal ? '' : ' (external)'}: ${person.meetings} meetings, ${person.hours.toFixed(1)}h`).join('\n')}\n`;
+  }
+
+  const externalHours = events
+    .filter(event => event.type === 'calendar_event' && event.isExternal)
+    .reduce((total, event) => total + event.duration / 60, 0);
+  if (externalHours > 0) {
+    stats += `\n**Time in external meetings:** ${externalHours.toFixed(1)}h\n`;
+  }
+
+  return stats;
+}
+
+// Ticket progress rolled up by epic and by sprint: tickets touched, tickets
+// that reached a done status, and hours logged
+function formatTicketStats(activities) {
+  const groups = { epic: new Map(), sprint: new Map() };
+
+  for (const activity of activities) {
+    for (const field of Object.keys(groups)) {
+      const name = activity[field] && (activity[field].summary || activity[field].name);
+      if (!name) continue;
+
+      const entry = groups[field].get(name) || { tickets: new Set(), done: new Set(), seconds: 0 };
+      entry.tickets.add(activity.ticketKey);
+      if ((activity.changes || []).some(change => change.field === 'status' && /done|closed|resolved/i.test(change.to || ''))) {
+        entry.done.add(activity.ticketKey);
+      }
+      entry.seconds += activity.timeSpentSeconds || 0;
+      groups[field].set(name, entry);
+    }
+  }
+
+  const formatGroup = (title, entries) => {
+    if (entries.size === 0) return '';
+    const lines = [...entries]
+      .sort(([, a], [, b]) => b.seconds - a.seconds || b.tickets.size - a.tickets.size)
+      .map(([name, entry]) => {
+        const hours = entry.seconds > 0 ? `, ${(entry.seconds / 3600).toFixed(1)}h logged` : '';
+        return `- ${name}: ${entry.tickets.size} tickets, ${entry.done.size} done${hours}`;
+      });
+    return `\n**${title}:**\n${lines.join('\n')}\n`;
+  };
+
+  return formatGroup('By epic', groups.epic) + formatGroup('By sprint', groups.sprint);
+}
+
 program
   .name('ajournal')
   .description('Automated work journal generator with AI integration')
@@ -30,23 +120,20 @@ program
   .option('-d, --days <number>', 'Number of days to sync (default: from config)', parseInt)
   .option('-f, --from <date>', 'Sync from this date (YYYY-MM-DD); overrides --days')
   .option('-t, --to <date>', 'Sync up to this date inclusive (YYYY-MM-DD, default: today)')
-  .option('-i, --integration <type>', 'Sync only specific integration (slack|github|gcal|jira)')
+  .option('-i, --integration <type>', `Sync only specific integration (${integrationIds})`)
   .action(async (options) => {
     try {
       console.log(chalk.blue('🔄 Starting sync process...'));
       
-      // Validate Google Calendar token if syncing gcal
-      if (!options.integration || options.integration === 'gcal') {
-        console.log(chalk.blue('🔍 Validating Google Calendar token...'));
-        const tokenValid = await validateGCalTokenBeforeRun();
-        if (!tokenValid) {
-          console.log(chalk.red('❌ Google Calendar token validation failed. Please refresh your token.'));
-          console.log(chalk.yellow('Run: node setup-google-oauth.js'));
-          process.exit(1);
-        }
-      }
-      
       const config = await configManager.load();
+      await loadIntegrations(config);
+      const selected = selectIntegrations(config, options.integration);
+
+      // Let integrations with expiring credentials (e.g. Google OAuth) check them first
+      if (!(await validateCredentials(selected))) {
+        process.exit(1);
+      }
+
       const storage = new StorageService(config);
       await storage.init();
       
@@ -55,37 +142,7 @@ program
       const endDate = options.to ? endOfDay(new Date(options.to)) : new Date();
       console.log(chalk.blue(`📅 Sync range: ${format(startDate, 'yyyy-MM-dd')} → ${format(endDate, 'yyyy-MM-dd')}`));
 
-      const integrations = [];
-
-      if (!options.integration || options.integration === 'slack') {
-        if (config.integrations.slack.enabled) {
-          integrations.push(new SlackSearchIntegration(config, storage));
-        }
-      }
-
-      if (!options.integration || options.integration === 'github') {
-        if (config.integrations.github.enabled) {
-          integrations.push(new GitHubIntegration(config, storage));
-        }
-      }
-
-      if (!options.integration || options.integration === 'gcal') {
-        if (config.integrations.gcal.enabled) {
-          integrations.push(new GCalIntegration(config, storage));
-        }
-      }
-
-      if (!options.integration || options.integration === 'jira') {
-        if (config.integrations.jira.enabled) {
-          integrations.push(new JiraIntegration(config, storage));
-        }
-      }
-
-      for (const integration of integrations) {
-        console.log(chalk.yellow(`Syncing ${integration.name}...`));
-        await integration.sync(startDate, endDate);
-        console.log(chalk.green(`✅ ${integration.name} sync completed`));
-      }
+      await syncIntegrations(selected, config, storage, startDate, endDate);
 
       console.log(chalk.green('✨ Sync process completed successfully!'));
     } catch (error) {
@@ -106,6 +163,7 @@ program
       console.log(chalk.blue('📝 Generating journal entries...'));
       
       const config = await configManager.load();
+      await loadIntegrations(config);
       const storage = new StorageService(config);
       const aiService = new AIService(config);
       const journalService = new JournalService(config, storage, aiService);
@@ -224,21 +282,20 @@ program
   .command('run')
   .description('Sync data and generate journal entries in one command')
   .option('-d, --days <number>', 'Number of days to process (default: from config)', parseInt)
-  .option('-i, --integration <type>', 'Sync only specific integration (slack|github|gcal|jira)')
+  .option('-i, --integration <type>', `Sync only specific integration (${integrationIds})`)
   .action(async (options) => {
     try {
       console.log(chalk.blue('🚀 Running sync and generate...'));
       
-      // Validate Google Calendar token before starting
+      const config = await configManager.load();
+      await loadIntegrations(config);
+      const selected = selectIntegrations(config, options.integration);
+
       console.log(chalk.blue('🔍 Validating integrations...'));
-      const tokenValid = await validateGCalTokenBeforeRun();
-      if (!tokenValid) {
-        console.log(chalk.red('❌ Token validation failed. Please refresh your Google Calendar token.'));
-        console.log(chalk.yellow('Run: node setup-google-oauth.js'));
+      if (!(await validateCredentials(selected))) {
         process.exit(1);
       }
       
-      const config = await configManager.load();
       const storage = new StorageService(config);
       await storage.init();
       
@@ -247,37 +304,7 @@ program
       
       // Sync phase
       console.log(chalk.blue('🔄 Starting sync process...'));
-      const integrations = [];
-      
-      if (!options.integration || options.integration === 'slack') {
-        if (config.integrations.slack.enabled) {
-          integrations.push(new SlackSearchIntegration(config, storage));
-        }
-      }
-      
-      if (!options.integration || options.integration === 'github') {
-        if (config.integrations.github.enabled) {
-          integrations.push(new GitHubIntegration(config, storage));
-        }
-      }
-      
-      if (!options.integration || options.integration === 'gcal') {
-        if (config.integrations.gcal.enabled) {
-          integrations.push(new GCalIntegration(config, storage));
-        }
-      }
-      
-      if (!options.integration || options.integration === 'jira') {
-        if (config.integrations.jira.enabled) {
-          integrations.push(new JiraIntegration(config, storage));
-        }
-      }
-      
-      for (const integration of integrations) {
-        console.log(chalk.yellow(`Syncing ${integration.name}...`));
-        await integration.sync(startDate, new Date());
-        console.log(chalk.green(`✅ ${integration.name} sync completed`));
-      }
+      await syncIntegrations(selected, config, storage, startDate, new Date());
       
       console.log(chalk.green('✨ Sync process completed!'));
       
@@ -316,6 +343,8 @@ program
       console.log(chalk.blue('📊 Generating weekly report...'));
       
       const config = await configManager.load();
+      // Plugin integrations supply calendar and ticket sources to the report stats
+      await loadIntegrations(config);
       const storage = new StorageService(config);
       const aiService = new AIService(config);
       
@@ -356,21 +385,26 @@ program
       }
       
       console.log(chalk.green(`Found ${weeklyData.length} journal entries for the week`));
+
+      const meetingStats = formatMeetingStats(await loadRawActivities(storage, 'calendar', startDate, endDate));
+      const ticketStats = formatTicketStats(await loadRawActivities(storage, 'tickets', startDate, endDate));
       
       // Generate weekly summary using AI
       const weeklyPrompt = `
 Create a comprehensive weekly work summary based on these daily journal entries. Focus on:
 
-1. **Key Accomplishments**: Major deliverables, milestones, and achievements
-2. **Project Progress**: Status updates on ongoing initiatives
+1. **Key Accomplishments**: Major deliverables, milestones, and achievements (merged PRs and published releases are what actually shipped)
+2. **Project Progress**: Status updates on ongoing initiatives (grouped by epic and sprint where ticket progress is given)
 3. **Collaboration Highlights**: Important meetings, reviews, and team interactions
 4. **Technical Insights**: Problems solved, optimizations made, lessons learned
-5. **Time Allocation**: How time was distributed across different activities
+5. **Time Allocation**: How time was distributed across different activities (report recurring meetings as series, not day by day)
 6. **Blockers & Challenges**: Issues encountered and how they were addressed
 7. **Next Week Planning**: Action items and follow-ups identified
 
 Daily entries:
 ${weeklyData.map(entry => `=== ${format(entry.date, 'yyyy-MM-dd (EEEE)')} ===\n${entry.content}`).join('\n\n')}
+${meetingStats && `\nMeeting statistics for the week:\n${meetingStats}`}
+${ticketStats && `\nTicket progress for the week:\n${ticketStats}`}
 
 Please provide a concise but comprehensive summary that would be valuable for team updates, performance reviews, and planning.
       `;
@@ -388,7 +422,7 @@ Please provide a concise but comprehensive summary that would be valuable for te
       const weeklySummary = aiService.extractText(response);
       
       // Create weekly report
-      const reportContent = `# Weekly Report - ${format(startDate, 'MMM dd')} to ${format(endDate, 'MMM dd, yyyy')}\n\n${weeklySummary}\n\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
+      const reportContent = `# Weekly Report - ${format(startDate, 'MMM dd')} to ${format(endDate, 'MMM dd, yyyy')}\n\n${weeklySummary}\n${meetingStats && `\n## Meetings\n${meetingStats}`}${ticketStats && `\n## Tickets\n${ticketStats}`}\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
       
       // Save weekly report
       const reportFileName = options.name || `weekly-report-${format(endDate, 'yyyy-MM-dd')}.md`;
@@ -412,6 +446,8 @@ program
       console.log(chalk.blue('📊 Generating monthly report...'));
       
       const config = await configManager.load();
+      // Plugin integrations supply calendar and ticket sources to the report stats
+      await loadIntegrations(config);
       const storage = new StorageService(config);
       const aiService = new AIService(config);
       
@@ -451,13 +487,16 @@ program
       }
       
       console.log(chalk.green(`Found ${monthlyData.length} journal entries for the month`));
+
+      const meetingStats = formatMeetingStats(await loadRawActivities(storage, 'calendar', startDate, endDate));
+      const ticketStats = formatTicketStats(await loadRawActivities(storage, 'tickets', startDate, endDate));
       
       // Generate monthly summary using AI
       const monthlyPrompt = `
 Create a comprehensive monthly work summary based on these daily journal entries. Focus on:
 
 1. **Key Accomplishments**: Major deliverables, milestones, and achievements for the month
-2. **Project Progress**: Status updates and progress on ongoing initiatives
+2. **Project Progress**: Status updates and progress on ongoing initiatives (grouped by epic and sprint where ticket progress is given)
 3. **Collaboration & Leadership**: Important meetings, reviews, team interactions, and leadership activities
 4. **Technical Growth**: Skills developed, problems solved, optimizations made, lessons learned
 5. **Time Allocation**: How time was distributed across different activities and projects
@@ -466,6 +505,8 @@ Create a comprehensive monthly work summary based on these daily journal entries
 
 Daily entries:
 ${monthlyData.map(entry => `=== ${format(entry.date, 'yyyy-MM-dd (EEEE)')} ===\n${entry.content}`).join('\n\n')}
+${meetingStats && `\nMeeting statistics for the month:\n${meetingStats}`}
+${ticketStats && `\nTicket progress for the month:\n${ticketStats}`}
 
 Please provide a strategic monthly summary that would be valuable for performance reviews, goal setting, and career development.
       `;
@@ -484,7 +525,7 @@ Please provide a strategic monthly summary that would be valuable for performanc
       
       // Create monthly report
       const monthName = format(targetDate, 'MMMM yyyy');
-      const reportContent = `# Monthly Report - ${monthName}\n\n${monthlySummary}\n\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
+      const reportContent = `# Monthly Report - ${monthName}\n\n${monthlySummary}\n${meetingStats && `\n## Meetings\n${meetingStats}`}${ticketStats && `\n## Tickets\n${ticketStats}`}\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
       
       // Save monthly report
       const reportFileName = options.name || `monthly-report-${format(targetDate, 'yyyy-MM')}.md`;
@@ -508,6 +549,8 @@ program
       console.log(chalk.blue('📊 Generating quarterly report...'));
       
       const config = await configManager.load();
+      // Plugin integrations supply calendar and ticket sources to the report stats
+      await loadIntegrations(config);
       const storage = new StorageService(config);
       const aiService = new AIService(config);
       
@@ -554,6 +597,9 @@ program
       }
       
       console.log(chalk.green(`Found ${quarterlyData.length} journal entries for the quarter`));
+
+      const meetingStats = formatMeetingStats(await loadRawActivities(storage, 'calendar', startDate, endDate));
+      const ticketStats = formatTicketStats(await loadRawActivities(storage, 'tickets', startDate, endDate));
       
       // Generate quarterly summary using AI
       const quarterlyPrompt = `
@@ -561,7 +607,7 @@ Create a comprehensive quarterly work summary based on these daily journal entri
 
 1. **Strategic Accomplishments**: Major deliverables, business impact, and strategic initiatives completed
 2. **Professional Growth**: Skills developed, leadership opportunities, career advancement
-3. **Project Portfolio**: Overview of projects worked on, their outcomes, and business value
+3. **Project Portfolio**: Overview of projects and epics worked on, their outcomes, and business value
 4. **Team & Collaboration**: Leadership activities, mentoring, cross-team collaborations
 5. **Innovation & Problem Solving**: Creative solutions, process improvements, technical innovations
 6. **Challenges & Resilience**: Major challenges overcome and lessons learned
@@ -569,6 +615,8 @@ Create a comprehensive quarterly work summary based on these daily journal entri
 
 Daily entries (${quarterlyData.length} days):
 ${quarterlyData.slice(0, 20).map(entry => `=== ${format(entry.date, 'yyyy-MM-dd')} ===\n${entry.content.substring(0, 500)}...`).join('\n\n')}
+${meetingStats && `\nMeeting statistics for the quarter:\n${meetingStats}`}
+${ticketStats && `\nTicket progress for the quarter:\n${ticketStats}`}
 
 Please provide a high-level quarterly summary suitable for executive reviews, performance evaluations, and strategic planning.
       `;
@@ -587,7 +635,7 @@ Please provide a high-level quarterly summary suitable for executive reviews, pe
       
       // Create quarterly report
       const quarterName = `Q${getQuarter(targetDate)} ${format(targetDate, 'yyyy')}`;
-      const reportContent = `# Quarterly Report - ${quarterName}\n\n${quarterlySummary}\n\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
+      const reportContent = `# Quarterly Report - ${quarterName}\n\n${quarterlySummary}\n${meetingStats && `\n## Meetings\n${meetingStats}`}${ticketStats && `\n## Tickets\n${ticketStats}`}\n---\n*Generated on ${new Date().toISOString()} by AJournal*\n`;
       
       // Save quarterly report
       const reportFileName = options.name || `quarterly-report-q${getQuarter(targetDate)}-${format(targetDate, 'yyyy')}.md`;
@@ -612,6 +660,8 @@ program
       console.log(chalk.blue('📊 Generating yearly report...'));
 
       const config = await configManager.load();
+      // Plugin integrations supply calendar and ticket sources to the report stats
+      await loadIntegrations(config);
       const storage = new StorageService(config);
       const aiService = new AIService(config);
 
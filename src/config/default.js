@@ -7,16 +7,53 @@ export const defaultConfig = {
       excludeChannels: ['random', 'general'],
       excludeChannelPatterns: ['test-*', 'temp-*'],
       trackDMs: true,
-      trackReactions: true,
+      trackReactions: true, // Emoji reactions you added, dated by the message reacted to (Slack doesn't say when you reacted)
+      trackFiles: true, // Files and canvases you shared
+      trackHuddles: false, // Huddles you joined (one extra history call per active conversation per day)
+      trackThreadContext: false, // Store the thread parent and nearby messages with your replies
+      threadContextMessages: 5, // Nearby thread messages to keep besides the parent
+      threadContextChars: 300, // Truncate each context message to this length
       trackThreads: true,
       minMessageLength: 10,
       maxConversations: 25, // Reasonable for internal apps with Tier 3 limits
       maxMessages: 200, // Max messages to retrieve from search API
-      rateLimitDelay: 1200, // ~50 requests/minute (Tier 3 limits)
+      searchBatchDays: 7, // Days covered by each search query; lower it if a sync warns about missing messages
     },
     github: {
       username: null, // GitHub username to track (set during setup)
       enabled: true,
+      baseUrl: null, // API URL for GitHub Enterprise Server, e.g. https://github.company.com/api/v3
+      tokenEnv: 'GITHUB_TOKEN', // Environment variable holding the token
+      accounts: [], // Several accounts: [{ name, baseUrl, tokenEnv, username, excludeRepos, ... }], each inheriting the settings above
+      excludeRepos: [],
+      excludeRepoPatterns: ['*-playground', '*-test'],
+      trackPRsCreated: true,
+      trackPRsReviewed: true,
+      trackPRComments: true, // Comments you posted in PR conversations, yours and others'
+      trackPRLifecycle: true, // Merges, closes, review requests and new pushes on your PRs
+      trackIssues: false,
+      trackCommits: false,
+      trackWorkflowRuns: false, // GitHub Actions runs you triggered (deploys, releases, manual dispatches)
+      trackReleases: false, // Releases and tags you published
+      workflowRepos: [], // Extra repositories to check for runs/releases besides the ones you were active in
+      workflowEvents: ['workflow_dispatch', 'release', 'deployment', 'repository_dispatch'],
+      workflowNamePatterns: ['*deploy*', '*release*'], // Also track runs of these workflows whatever triggered them
+    },
+    git: {
+      enabled: false, // Set to true to read commits from local working copies
+      directories: [], // Repositories, or folders containing them, e.g. ['~/code']
+      scanDepth: 2, // How many folder levels below each directory to search for repositories
+      authorEmails: [], // Your commit emails (defaults to each repo's user.email)
+      excludeRepos: [],
+      excludeRepoPatterns: [],
+      skipGitHubDuplicates: true, // Skip commits already recorded by the GitHub integration
+    },
+    gitlab: {
+      enabled: false, // Set to true to track merge requests on GitLab
+      baseUrl: 'https://gitlab.com', // Or your self-hosted instance, e.g. https://gitlab.company.com
+      token: null, // Personal access token (read_api); falls back to GITLAB_TOKEN env var
+      username: null, // GitLab username to track (defaults to the token owner)
+      includeRepos: [], // Specific projects to track, e.g. 'group/*' (leave empty for all)
       excludeRepos: [],
       excludeRepoPatterns: ['*-playground', '*-test'],
       trackPRsCreated: true,
@@ -30,26 +67,104 @@ export const defaultConfig = {
       excludeCalendars: ['personal', 'Birthdays', 'holidays'],
       excludeCalendarPatterns: ['*personal*', '*birthday*', '*holiday*'],
       minDuration: 15,
+      trackAttendees: true, // Attendee names, organizer and internal/external split
+      internalDomains: [], // Email domains of your organization (defaults to your own address's domain)
+      trackLocation: false,
+      trackTimeOff: true, // Out-of-office events and all-day events matching timeOffPatterns
+      trackWorkingLocation: true,
+      timeOffPatterns: ['*vacation*', '*holiday*', '*holidays*', '*pto*', '*ooo*', '*out of office*', '*time off*', '*on leave*', '*annual leave*', '*parental leave*', '*sick*'], // Whole words, so *pto* doesn't match "laptop"
+    },
+    outlook: {
+      enabled: false, // Set to true to track a Microsoft 365 / Outlook calendar
+      clientId: null, // Entra ID app (public client) ID; falls back to MS_CLIENT_ID env var
+      tenantId: null, // Directory (tenant) ID; falls back to MS_TENANT_ID env var, then 'common'
+      includeCalendars: [], // Specific calendars to track (leave empty to track all)
+      excludeCalendars: ['Birthdays', 'holidays'],
+      excludeCalendarPatterns: ['*birthday*', '*holiday*'],
+      minDuration: 15,
       trackAttendees: true,
+      internalDomains: [],
+      skipDeclined: true,
+      skipTentative: false, // Also skip meetings only tentatively accepted
+    },
+    ics: {
+      enabled: false, // Set to true to read calendars from .ics files, ICS feeds or CalDAV
+      sources: [], // e.g. { name: 'Work', path: './work.ics' }, { name: 'Team', url: 'https://...' } or { name: 'Home', caldav: 'https://...', username, password }
+      selfEmails: [], // Your addresses, used to find your own RSVP in attendee lists
+      minDuration: 15,
+      trackAttendees: true,
+      internalDomains: [],
       trackLocation: false,
+      trackTimeOff: true, // All-day events matching timeOffPatterns
+      timeOffPatterns: ['*vacation*', '*holiday*', '*holidays*', '*pto*', '*ooo*', '*out of office*', '*time off*', '*on leave*', '*annual leave*', '*parental leave*', '*sick*'],
     },
     jira: {
       enabled: false, // Set to true and configure below to enable JIRA integration
+      deployment: 'cloud', // 'cloud', or 'server' for JIRA Server / Data Center
       protocol: 'https',
       host: 'your-company.atlassian.net', // Your JIRA instance URL
+      contextPath: '', // Path JIRA is served under on Server / Data Center, e.g. '/jira'
       username: 'your-email@company.com', // Your JIRA username/email
       reportUserName: 'your-member@company.com', // Your JIRA username/email
-      apiToken: process.env.JIRA_API_TOKEN, // API token from env
+      apiToken: process.env.JIRA_API_TOKEN, // API token from env (a personal access token on Server / Data Center)
       apiVersion: '2',
       strictSSL: true,
       trackCreated: true,
       trackUpdated: true,
       trackCommented: true,
+      trackWorklogs: true, // Time you logged, per ticket per day
+      sprintField: 'customfield_10020', // Sprint custom field (differs per instance)
+      epicLinkField: 'customfield_10014', // Epic Link custom field on company-managed projects
       excludeProjects: [], // Projects to exclude
       excludeProjectPatterns: ['TEST-*', 'TEMP-*'],
       includeProjects: [], // Specific projects to track (leave empty for all)
       maxResults: 100, // Max tickets per search
     },
+    confluence: {
+      enabled: false, // Set to true to track Confluence pages, blog posts and comments
+      protocol: null, // Host and credentials default to the jira block above
+      host: null,
+      username: null,
+      apiToken: null, // Falls back to CONFLUENCE_API_TOKEN, then the JIRA API token
+      contextPath: '/wiki', // Use '' for Confluence Server/Data Center served from the root
+      trackCreated: true,
+      trackEdited: true,
+      trackCommented: true,
+      includeSpaces: [], // Space keys or names to track (leave empty for all)
+      excludeSpaces: [],
+    },
+    gdrive: {
+      enabled: false, // Set to true, then re-run setup-google-oauth.js to grant Drive access
+      trackCreated: true,
+      trackEdited: true,
+      trackCommented: true,
+      includeOtherFiles: false, // Also track uploaded files (PDFs, images, ...) besides Docs/Sheets/Slides
+    },
+    pagerduty: {
+      enabled: false, // Set to true to track incidents and on-call shifts
+      apiKey: null, // User API token; falls back to PAGERDUTY_API_KEY env var
+      userId: null, // Your PagerDuty user ID (only needed with an account-level API key)
+      baseUrl: 'https://api.pagerduty.com', // Use https://api.eu.pagerduty.com for EU accounts
+      trackAcknowledged: true,
+      trackResolved: true,
+      trackNotes: true,
+      trackOnCall: true,
+      includeServices: [], // Service names to track (leave empty for all)
+      excludeServices: [],
+    },
+    linear: {
+      enabled: false, // Set to true to track Linear issues
+      apiKey: null, // Personal API key; falls back to LINEAR_API_KEY env var
+      trackCreated: true,
+      trackUpdated: true, // State transitions and assignment changes you made
+      trackCommented: true,
+      includeTeams: [], // Team keys or names to track (leave empty for all)
+      excludeTeams: [],
+    },
+  },
+  plugins: {
+    enabled: true,
+    dir: './plugins', // Extra integrations: each .js file default-exports an integration class
   },
   ai: {
     provider: 'anthropic',
@@ -57,12 +172,14 @@ export const defaultConfig = {
     summarizationPrompt: `Analyze the following work activities and create a concise, professional summary for a work journal. Focus on:
 - Key accomplishments and progress made
 - Important communications and decisions
+- What code review feedback was given (the issues raised, not just which PRs were reviewed)
 - Time allocation across different activities
 - Notable insights or blockers encountered
 
 Format as bullet points under relevant categories. Keep it factual and actionable.`,
     categorizeWork: true,
     includeMetrics: true,
+    threadContextTokens: 1500, // Budget for Slack thread context in the daily summary prompt
     maxTokens: 2000,
   },
   journal: {
@@ -76,14 +193,15 @@ Format as bullet points under relevant categories. Keep it factual and actionabl
   },
   sync: {
     lookbackDays: 1,
-    maxRetries: 3,
-    retryDelay: 1000,
+    maxRetries: 3, // Retries per request on rate limits, 5xx and network errors
+    retryDelay: 1000, // Base backoff in ms, doubled on each retry
     rateLimit: {
-      slack: 50, // requests per minute
+      slack: 50, // requests per minute; any integration id can be listed
       github: 60,
       gcal: 100,
       jira: 200, // JIRA Cloud allows higher limits
     },
+    requestBudget: 5000, // Max API requests per integration per sync
   },
   storage: {
     dataDir: './data',
@@ -0,0 +1,298 @@
+import { format, addDays } from 'date-fns';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+// Confluence pages, blog posts and comments, found with CQL. Host and
+// credentials default to the JIRA block since both usually live on the same
+// Atlassian site and share one API token.
+class ConfluenceIntegration {
+  static id = 'confluence';
+  static label = 'Confluence';
+  static kind = 'docs';
+  static requiredEnv = ['JIRA_API_TOKEN'];
+  static sectionTitle = 'Confluence Activities';
+  static linkLabel = 'View Page';
+
+  static describeActivity(data) {
+    const noun = data.contentType === 'blogpost' ? 'Blog Post' : 'Page';
+
+    if (data.type === 'page_created') {
+      return `📝 **${noun} Created**: "${data.title}" in ${data.space}`;
+    } else if (data.type === 'page_updated') {
+      return `✏️ **${noun} Edited**: "${data.title}" in ${data.space} (v${data.versionFrom} → v${data.versionTo})`;
+    } else if (data.type === 'comment_added') {
+      return `💬 **Comment**: on "${data.title}" in ${data.space}`;
+    }
+    return `📄 **${data.type}**: "${data.title}" in ${data.space}`;
+  }
+
+  static summarizeActivity(data) {
+    const noun = data.contentType === 'blogpost' ? 'blog post' : 'page';
+
+    if (data.type === 'page_created') {
+      return `Created ${noun}: "${data.title}" in ${data.space}`;
+    } else if (data.type === 'page_updated') {
+      return `Edited ${noun}: "${data.title}" in ${data.space} (${data.editCount} edits, v${data.versionFrom} → v${data.versionTo})`;
+    } else if (data.type === 'comment_added') {
+      return `Commented on "${data.title}" in ${data.space}: ${data.excerpt}`;
+    }
+    return `${data.type}: "${data.title}" in ${data.space}`;
+  }
+
+  constructor(config, storage) {
+    this.name = 'Confluence';
+    this.config = config.integrations.confluence;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'confluence', 'Confluence');
+
+    const jira = config.integrations.jira || {};
+    const protocol = this.config.protocol || jira.protocol || 'https';
+    const host = this.config.host || jira.host;
+    this.baseUrl = `${protocol}://${host}${this.config.contextPath ?? '/wiki'}`;
+    this.username = this.config.username || jira.username;
+    this.apiToken = this.config.apiToken || process.env.CONFLUENCE_API_TOKEN || jira.apiToken;
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      console.log(`📄 Syncing Confluence activity from ${this.baseUrl}...`);
+
+      if (!this.currentUser) {
+        this.currentUser = await this.request('/rest/api/user/current');
+      }
+
+      const activities = [];
+
+      if (this.config.trackCreated) {
+        activities.push(...await this.getContentCreated(startDate, endDate));
+      }
+
+      if (this.config.trackEdited) {
+        activities.push(...await this.getContentEdited(startDate, endDate));
+      }
+
+      if (this.config.trackCommented) {
+        activities.push(...await this.getComments(startDate, endDate));
+      }
+
+      const filteredActivities = this.filterSpaces(activities);
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(filteredActivities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('confluence', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('confluence', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: filteredActivities.length,
+      });
+
+      return filteredActivities;
+    } catch (error) {
+      console.error('Confluence sync error:', error.message);
+      throw error;
+    }
+  }
+
+  async request(pathOrUrl) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+    const response = await this.api.fetch(url, {
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.username}:${this.apiToken}`).toString('base64')}`,
+        'Accept': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Confluence API error: ${response.status} - ${await response.text()}`);
+    }
+
+    return response.json();
+  }
+
+  // Run a CQL content search, following _links.next until all pages are read
+  async search(cql, expand) {
+    const results = [];
+    const params = new URLSearchParams({ cql, expand, limit: '50' });
+    let next = `/rest/api/content/search?${params}`;
+
+    while (next) {
+      const data = await this.request(next);
+      results.push(...(data.results || []));
+      next = data._links?.next || null;
+    }
+
+    return results;
+  }
+
+  // CQL only compares whole days in the user's profile timezone; the exact
+  // window is applied to timestamps afterwards
+  cqlRange(field, startDate, endDate) {
+    return `${field} >= "${format(startDate, 'yyyy-MM-dd')}" AND ${field} < "${format(addDays(endDate, 1), 'yyyy-MM-dd')}"`;
+  }
+
+  isCurrentUser(user) {
+    if (!user || !this.currentUser) return false;
+    if (this.currentUser.accountId) {
+      return user.accountId === this.currentUser.accountId;
+    }
+    return user.username === this.currentUser.username || user.userKey === this.currentUser.userKey;
+  }
+
+  inWindow(timestamp, startDate, endDate) {
+    const date = new Date(timestamp);
+    return date >= startDate && date <= endDate;
+  }
+
+  contentDetails(content) {
+    return {
+      contentType: content.type,
+      contentId: content.id,
+      title: content.title,
+      space: content.space?.name || content.space?.key || 'Unknown',
+      spaceKey: content.space?.key || null,
+      url: content._links?.webui ? `${this.baseUrl}${content._links.webui}` : null,
+    };
+  }
+
+  async getContentCreated(startDate, endDate) {
+    try {
+      const results = await this.search(
+        `creator = currentUser() AND type IN (page, blogpost) AND ${this.cqlRange('created', startDate, endDate)}`,
+        'space,history,version'
+      );
+
+      return results
+        .filter(content => this.inWindow(content.history.createdDate, startDate, endDate))
+        .map(content => ({
+          type: 'page_created',
+          ...this.contentDetails(content),
+          version: content.version?.number || 1,
+          timestamp: content.history.createdDate,
+        }));
+    } catch (error) {
+      console.error('Error fetching Confluence pages created:', error.message);
+      return [];
+    }
+  }
+
+  // One page_updated per page and day, spanning the versions we saved that day
+  async getContentEdited(startDate, endDate) {
+    try {
+      // Someone else may have edited the page since, so don't bound lastmodified above
+      const results = await this.search(
+        `contributor = currentUser() AND type IN (page, blogpost) AND lastmodified >= "${format(startDate, 'yyyy-MM-dd')}"`,
+        'space,version'
+      );
+
+      const activities = [];
+
+      for (const content of results) {
+        const versions = await this.getVersions(content.id);
+        const ownEdits = versions.filter(version =>
+          version.number > 1 &&
+          this.isCurrentUser(version.by) &&
+          this.inWindow(version.when, startDate, endDate)
+        );
+
+        const editsByDay = {};
+        for (const version of ownEdits) {
+          const day = format(new Date(version.when), 'yyyy-MM-dd');
+          (editsByDay[day] = editsByDay[day] || []).push(version);
+        }
+
+        for (const edits of Object.values(editsByDay)) {
+          edits.sort((a, b) => a.number - b.number);
+          const last = edits[edits.length - 1];
+
+          activities.push({
+            type: 'page_updated',
+            ...this.contentDetails(content),
+            versionFrom: edits[0].number - 1,
+            versionTo: last.number,
+            editCount: edits.length,
+            versionMessage: last.message || '',
+            timestamp: last.when,
+          });
+        }
+      }
+
+      return activities;
+    } catch (error) {
+      console.error('Error fetching Confluence page edits:', error.message);
+      return [];
+    }
+  }
+
+  async getVersions(contentId) {
+    const versions = [];
+    let next = `/rest/api/content/${contentId}/version?limit=100`;
+
+    while (next) {
+      const data = await this.request(next);
+      versions.push(...(data.results || []));
+      next = data._links?.next || null;
+    }
+
+    return versions;
+  }
+
+  async getComments(startDate, endDate) {
+    try {
+      const results = await this.search(
+        `creator = currentUser() AND type = comment AND ${this.cqlRange('created', startDate, endDate)}`,
+        'space,history,container,body.storage'
+      );
+
+      return results
+        .filter(comment => this.inWindow(comment.history.createdDate, startDate, endDate))
+        .map(comment => ({
+          type: 'comment_added',
+          ...this.contentDetails(comment),
+          contentType: comment.container?.type || 'page',
+          title: comment.container?.title || comment.title,
+          excerpt: this.toPlainText(comment.body?.storage?.value).substring(0, 200),
+          timestamp: comment.history.createdDate,
+        }));
+    } catch (error) {
+      console.error('Error fetching Confluence comments:', error.message);
+      return [];
+    }
+  }
+
+  toPlainText(html) {
+    return (html || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  filterSpaces(activities) {
+    const matches = (activity, list) => list.some(entry => {
+      const lower = entry.toLowerCase();
+      return lower === (activity.spaceKey || '').toLowerCase() || lower === activity.space.toLowerCase();
+    });
+
+    return activities.filter(activity => {
+      // If includeSpaces is specified, only include those spaces
+      if (this.config.includeSpaces && this.config.includeSpaces.length > 0 &&
+          !matches(activity, this.config.includeSpaces)) {
+        return false;
+      }
+
+      // Skip excluded spaces
+      return !matches(activity, this.config.excludeSpaces || []);
+    });
+  }
+}
+
+export default ConfluenceIntegration;
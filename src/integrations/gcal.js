@@ -1,54 +1,90 @@
 import { google } from 'googleapis';
-import fs from 'fs-extra';
-import { format, startOfDay, endOfDay } from 'date-fns';
+import chalk from 'chalk';
+import { startOfDay, endOfDay, addDays, parseISO } from 'date-fns';
+import { validateGCalTokenBeforeRun } from '../utils/token-validator.js';
+import { GOOGLE_SCOPES, createGoogleAuth } from '../utils/google-auth.js';
+import { categorizeEvent, extractMeetingLink, matchesCalendarFilters, isExcludedEventTitle, isTimeOffTitle, processAttendees } from '../utils/calendar.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const WORKING_LOCATIONS = {
+  homeOffice: () => 'Home',
+  officeLocation: props => props.officeLocation?.label || 'Office',
+  customLocation: props => props.customLocation?.label || 'Other location',
+};
 
 class GCalIntegration {
+  static id = 'gcal';
+  static label = 'Google Calendar';
+  static kind = 'calendar';
+  static requiredEnv = ['GOOGLE_CREDENTIALS_PATH'];
+  static sectionTitle = 'Calendar Events';
+
+  static describeActivity(data) {
+    if (data.type === 'time_off') {
+      return `🌴 **Time Off**: "${data.title}"${GCalIntegration.formatTimeOff(data)}`;
+    } else if (data.type === 'working_location') {
+      return `📍 **Working Location**: ${data.location}`;
+    }
+
+    const duration = Math.round(data.duration / 60 * 100) / 100;
+    let icon = '📅';
+    if (data.eventType === 'meeting') icon = '🤝';
+    if (data.eventType === 'standup') icon = '🏃';
+    if (data.eventType === 'one_on_one') icon = '👥';
+    if (data.eventType === 'focus_time') icon = '🎯';
+
+    return `${icon} **${data.eventType}**: "${data.title}" (${duration}h)`;
+  }
+
+  static summarizeActivity(data) {
+    if (data.type === 'time_off') {
+      return `Out of office: "${data.title}"${GCalIntegration.formatTimeOff(data)}`;
+    } else if (data.type === 'working_location') {
+      return `Working from: ${data.location}`;
+    }
+
+    const duration = Math.round(data.duration / 60 * 100) / 100;
+    return `${data.eventType}: "${data.title}" (${duration}h, ${data.attendeeCount} attendees)${GCalIntegration.formatAttendees(data)}`;
+  }
+
+  static formatAttendees(data) {
+    if (!data.attendees || data.attendees.length === 0) {
+      return '';
+    }
+    const names = data.attendees.slice(0, 5).map(attendee => attendee.name);
+    const more = data.attendees.length > names.length ? ` and ${data.attendees.length - names.length} more` : '';
+    const external = data.isExternal ? ` [external: ${data.externalAttendeeCount}]` : '';
+    return ` with ${names.join(', ')}${more}${external}`;
+  }
+
+  static formatTimeOff(data) {
+    return data.duration >= 24 * 60 ? ' (all day)' : ` (${Math.round(data.duration / 60 * 100) / 100}h)`;
+  }
+
+  static async validateCredentials() {
+    console.log(chalk.blue('🔍 Validating Google Calendar token...'));
+    const tokenValid = await validateGCalTokenBeforeRun();
+    if (!tokenValid) {
+      console.log(chalk.red('❌ Google Calendar token validation failed. Please refresh your token.'));
+      console.log(chalk.yellow('Run: node setup-google-oauth.js'));
+    }
+    return tokenValid;
+  }
+
   constructor(config, storage) {
     this.name = 'Google Calendar';
     this.config = config.integrations.gcal;
     this.storage = storage;
+    this.api = new ApiClient(config, 'gcal', 'Google Calendar');
     this.calendar = null;
   }
 
   async init() {
     try {
-      // Load credentials from file
-      const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
-      if (!credentialsPath) {
-        throw new Error('GOOGLE_CREDENTIALS_PATH environment variable not set');
-      }
-
-      const credentials = await fs.readJson(credentialsPath);
-      
-      // For service account credentials (recommended)
-      if (credentials.type === 'service_account') {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: credentialsPath,
-          scopes: ['https://www.googleapis.com/auth/calendar.readonly'],
-        });
-        
-        this.calendar = google.calendar({ version: 'v3', auth });
-      } else {
-        // For OAuth2 credentials (legacy support)
-        const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web || credentials;
-        
-        const oAuth2Client = new google.auth.OAuth2(
-          client_id,
-          client_secret,
-          redirect_uris[0]
-        );
-
-        const tokenPath = './data/google-token.json';
-        
-        if (await fs.pathExists(tokenPath)) {
-          const token = await fs.readJson(tokenPath);
-          oAuth2Client.setCredentials(token);
-        } else {
-          throw new Error(`Google OAuth token not found at ${tokenPath}. Please run: node setup-google-oauth.js`);
-        }
-        
-        this.calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
-      }
+      const auth = await createGoogleAuth(GOOGLE_SCOPES.gcal);
+      // Retries are left to this.api rather than googleapis' own retry
+      this.calendar = google.calendar({ version: 'v3', auth, retry: false });
     } catch (error) {
       console.error('Error initializing Google Calendar:', error.message);
       throw error;
@@ -78,7 +114,7 @@ class GCalIntegration {
       }
 
       // Group activities by date and save
-      const activitiesByDate = this.groupActivitiesByDate(activities);
+      const activitiesByDate = groupActivitiesByDate(activities);
       
       for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
         await this.storage.saveRawData('gcal', dateStr, dayActivities);
@@ -100,7 +136,7 @@ class GCalIntegration {
 
   async getCalendars() {
     try {
-      const response = await this.calendar.calendarList.list();
+      const response = await this.api.call(() => this.calendar.calendarList.list());
       return response.data.items || [];
     } catch (error) {
       console.error('Error fetching calendar list:', error.message);
@@ -109,43 +145,7 @@ class GCalIntegration {
   }
 
   filterCalendars(calendars) {
-    return calendars.filter(calendar => {
-      const calendarName = calendar.summary.toLowerCase();
-      const calendarId = calendar.id.toLowerCase();
-      
-      // If includeCalendars is specified, only include those calendars
-      if (this.config.includeCalendars && this.config.includeCalendars.length > 0) {
-        const shouldInclude = this.config.includeCalendars.some(included => {
-          const includedLower = included.toLowerCase();
-          return calendarName.includes(includedLower) || 
-                 calendarId.includes(includedLower) ||
-                 calendar.id === included || 
-                 calendar.summary === included;
-        });
-        
-        if (!shouldInclude) {
-          return false;
-        }
-      }
-      
-      // Skip excluded calendars
-      if (this.config.excludeCalendars.some(excluded => 
-        calendarName.includes(excluded.toLowerCase()) ||
-        calendarId.includes(excluded.toLowerCase())
-      )) {
-        return false;
-      }
-
-      // Skip calendars matching excluded patterns
-      if (this.config.excludeCalendarPatterns.some(pattern => {
-        const regex = new RegExp(pattern.replace('*', '.*'), 'i');
-        return regex.test(calendarName) || regex.test(calendarId);
-      })) {
-        return false;
-      }
-
-      return true;
-    });
+    return calendars.filter(calendar => matchesCalendarFilters(this.config, calendar.summary, calendar.id));
   }
 
   async getCalendarEvents(calendar, startDate, endDate) {
@@ -153,7 +153,7 @@ class GCalIntegration {
       const events = [];
       let pageToken;
       do {
-        const response = await this.calendar.events.list({
+        const response = await this.api.call(() => this.calendar.events.list({
           calendarId: calendar.id,
           timeMin: startDate.toISOString(),
           timeMax: endDate.toISOString(),
@@ -161,14 +161,16 @@ class GCalIntegration {
           orderBy: 'startTime',
           maxResults: 2500,
           pageToken,
-        });
+        }));
         events.push(...(response.data.items || []));
         pageToken = response.data.nextPageToken;
       } while (pageToken);
       
       return events
         .filter(event => this.shouldIncludeEvent(event))
-        .map(event => this.processEvent(event, calendar));
+        .flatMap(event => this.isDayMarker(event)
+          ? this.processDayMarker(event, calendar, startDate, endDate)
+          : [this.processEvent(event, calendar)]);
     } catch (error) {
       console.error(`Error fetching events from ${calendar.summary}:`, error.message);
       return [];
@@ -181,27 +183,29 @@ class GCalIntegration {
       return false;
     }
 
-    // Skip all-day events if they're not work-related
-    if (event.start.date && !event.start.dateTime) {
+    if (event.eventType === 'outOfOffice' && this.config.trackTimeOff === false) {
       return false;
     }
 
-    // Skip excluded event titles
-    const eventTitle = (event.summary || '').toLowerCase();
-    if (this.config.excludeEvents && this.config.excludeEvents.some(excluded => 
-      eventTitle === excluded.toLowerCase()
-    )) {
+    if (event.eventType === 'workingLocation') {
+      return this.config.trackWorkingLocation !== false;
+    }
+
+    // Skip all-day events unless they mark time off
+    if (event.start.date && !event.start.dateTime && !this.isDayMarker(event)) {
       return false;
     }
 
-    // Skip events matching excluded patterns
-    if (this.config.excludeEventPatterns && this.config.excludeEventPatterns.some(pattern => {
-      const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
-      return regex.test(eventTitle);
-    })) {
+    // Skip excluded titles and title patterns
+    if (isExcludedEventTitle(this.config, event.summary)) {
       return false;
     }
 
+    // Time off is recorded whatever its length
+    if (this.isDayMarker(event)) {
+      return true;
+    }
+
     // Calculate duration
     const start = new Date(event.start.dateTime || event.start.date);
     const end = new Date(event.end.dateTime || event.end.date);
@@ -237,8 +241,9 @@ class GCalIntegration {
       end: end.toISOString(),
       timestamp: start.toISOString(),
       duration: durationMinutes,
-      location: event.location || '',
+      location: this.config.trackLocation ? event.location || '' : '',
       eventType: this.categorizeEvent(event),
+      recurringEventId: event.recurringEventId || null,
       attendeeCount: 0,
       isOrganizer: false,
       meetingLink: this.extractMeetingLink(event),
@@ -248,103 +253,96 @@ class GCalIntegration {
     if (this.config.trackAttendees && event.attendees) {
       processed.attendeeCount = event.attendees.length;
       processed.isOrganizer = event.attendees.some(attendee => attendee.organizer && attendee.self);
-      
-      if (this.config.trackLocation) {
-        processed.attendees = event.attendees
-          .filter(attendee => attendee.responseStatus !== 'declined')
-          .map(attendee => ({
-            email: attendee.email,
-            responseStatus: attendee.responseStatus,
-            organizer: attendee.organizer || false,
-          }));
-      }
+
+      // Meeting rooms are listed as attendees too
+      const people = event.attendees
+        .filter(attendee => !attendee.resource)
+        .map(attendee => ({
+          email: attendee.email,
+          name: attendee.displayName,
+          responseStatus: attendee.responseStatus,
+          organizer: attendee.organizer,
+          self: attendee.self,
+        }));
+      const organizer = event.organizer && { email: event.organizer.email, name: event.organizer.displayName, self: event.organizer.self };
+
+      Object.assign(processed, processAttendees(this.config, people, organizer));
     }
 
     return processed;
   }
 
   categorizeEvent(event) {
-    const title = (event.summary || '').toLowerCase();
-    const description = (event.description || '').toLowerCase();
-    const combined = `${title} ${description}`;
+    return categorizeEvent({
+      title: event.summary,
+      description: event.description,
+      attendeeCount: event.attendees ? event.attendees.length : 0,
+      // Only Google events carry eventType; ICS events reuse this method
+      isFocusTime: event.eventType ? event.eventType === 'focusTime' : undefined,
+    });
+  }
 
-    // Meeting categories
-    if (combined.includes('standup') || combined.includes('stand up') || combined.includes('daily')) {
-      return 'standup';
-    }
-    
-    if (combined.includes('retro') || combined.includes('retrospective')) {
-      return 'retrospective';
-    }
-    
-    if (combined.includes('planning') || combined.includes('sprint planning')) {
-      return 'planning';
-    }
-    
-    if (combined.includes('review') || combined.includes('demo')) {
-      return 'review';
-    }
-    
-    if (combined.includes('1:1') || combined.includes('one on one') || combined.includes('1-on-1')) {
-      return 'one_on_one';
-    }
-    
-    if (combined.includes('interview') || combined.includes('screening')) {
-      return 'interview';
-    }
-    
-    if (combined.includes('all hands') || combined.includes('town hall') || combined.includes('company')) {
-      return 'all_hands';
-    }
-    
-    if (combined.includes('training') || combined.includes('workshop') || combined.includes('learning')) {
-      return 'training';
+  // Out-of-office blocks, all-day time-off events and working locations describe
+  // the day rather than time spent in a meeting
+  isDayMarker(event) {
+    if (event.eventType === 'outOfOffice' || event.eventType === 'workingLocation') {
+      return true;
     }
 
-    // Default to meeting
-    if (event.attendees && event.attendees.length > 1) {
-      return 'meeting';
-    }
-    
-    return 'focus_time';
+    const allDay = Boolean(event.start.date && !event.start.dateTime);
+    return allDay && this.config.trackTimeOff !== false && isTimeOffTitle(this.config, event.summary);
   }
 
-  extractMeetingLink(event) {
-    const description = event.description || '';
-    const location = event.location || '';
-    
-    // Common meeting link patterns
-    const patterns = [
-      /https:\/\/meet\.google\.com\/[a-z-]+/i,
-      /https:\/\/zoom\.us\/j\/\d+/i,
-      /https:\/\/.*\.zoom\.us\/j\/\d+/i,
-      /https:\/\/teams\.microsoft\.com\/l\/meetup-join\/[^\\s]+/i,
-    ];
-    
-    const content = `${description} ${location}`;
-    
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match) {
-        return match[0];
+  // One activity per day the marker covers within the sync window, so a
+  // week of vacation labels every day of it
+  processDayMarker(event, calendar, startDate, endDate) {
+    // All-day events carry a date without a time zone: midnight local time
+    const start = event.start.dateTime ? new Date(event.start.dateTime) : parseISO(event.start.date);
+    const end = event.end.dateTime ? new Date(event.end.dateTime) : parseISO(event.end.date);
+    const rangeEnd = new Date(Math.min(end, endDate));
+    const activities = [];
+
+    let pieceStart = new Date(Math.max(start, startDate));
+    while (pieceStart < rangeEnd) {
+      const pieceEnd = new Date(Math.min(addDays(startOfDay(pieceStart), 1), rangeEnd));
+      const base = {
+        calendar: calendar.summary,
+        calendarId: calendar.id,
+        start: pieceStart.toISOString(),
+        end: pieceEnd.toISOString(),
+        timestamp: pieceStart.toISOString(),
+        duration: (pieceEnd - pieceStart) / (1000 * 60),
+      };
+
+      if (event.eventType === 'workingLocation') {
+        const props = event.workingLocationProperties || {};
+        const describe = WORKING_LOCATIONS[props.type];
+        activities.push({
+          ...base,
+          type: 'working_location',
+          eventType: 'working_location',
+          title: event.summary || 'Working location',
+          location: describe ? describe(props) : (event.summary || 'Unknown'),
+          locationType: props.type || null,
+        });
+      } else {
+        activities.push({
+          ...base,
+          type: 'time_off',
+          eventType: 'time_off',
+          title: event.summary || 'Out of office',
+          reason: event.eventType === 'outOfOffice' ? 'out_of_office' : 'all_day_event',
+        });
       }
+
+      pieceStart = pieceEnd;
     }
-    
-    return null;
+
+    return activities;
   }
 
-  groupActivitiesByDate(activities) {
-    const grouped = {};
-    
-    for (const activity of activities) {
-      const date = format(new Date(activity.timestamp), 'yyyy-MM-dd');
-      if (!grouped[date]) {
-        grouped[date] = [];
-      }
-      grouped[date].push(activity);
-    }
-    
-    return grouped;
+  extractMeetingLink(event) {
+    return extractMeetingLink(`${event.description || ''} ${event.location || ''}`);
   }
 
   // Helper method to generate OAuth URL for initial setup
@@ -360,7 +358,7 @@ class GCalIntegration {
 
     const authUrl = oAuth2Client.generateAuthUrl({
       access_type: 'offline',
-      scope: ['https://www.googleapis.com/auth/calendar.readonly'],
+      scope: GOOGLE_SCOPES.gcal,
     });
 
     return { authUrl, oAuth2Client };
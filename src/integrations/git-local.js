@@ -0,0 +1,269 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { format } from 'date-fns';
+import { groupActivitiesByDate, filterRepositories } from '../utils/activities.js';
+
+const execFileAsync = promisify(execFile);
+
+// Field and record separators for `git log --format`, so subjects may contain anything
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+
+// Commits from local working copies. Unlike GitHub commit search this sees every
+// branch (including unpushed feature work) and repositories hosted anywhere.
+class LocalGitIntegration {
+  static id = 'git';
+  static label = 'Local Git';
+  static kind = 'code';
+  static requiredEnv = [];
+  static sectionTitle = 'Local Git Commits';
+  static linkLabel = 'View Commit';
+
+  static describeActivity(data) {
+    return `💻 **Commit**: "${data.message}" in ${data.repository} (${LocalGitIntegration.formatStats(data)})`;
+  }
+
+  static summarizeActivity(data) {
+    return `Committed: "${data.message}" in ${data.repository} (${LocalGitIntegration.formatStats(data)})`;
+  }
+
+  static formatStats(data) {
+    return `${data.branch || 'detached'}, ${data.filesChanged} files, +${data.additions}/-${data.deletions}`;
+  }
+
+  constructor(config, storage) {
+    this.name = 'Local Git';
+    this.config = config.integrations.git;
+    this.storage = storage;
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      const repositories = [];
+      for (const dir of this.config.directories || []) {
+        repositories.push(...await this.findRepositories(this.expandHome(dir), this.config.scanDepth ?? 2));
+      }
+
+      const knownShas = await this.getTrackedShas(startDate, endDate);
+      const commits = new Map();
+
+      for (const repoPath of repositories) {
+        const repoCommits = await this.getCommits(repoPath, startDate, endDate);
+
+        for (const commit of filterRepositories(repoCommits, this.config)) {
+          // Worktrees and multiple clones of one repo report the same commits
+          if (!knownShas.has(commit.sha) && !commits.has(commit.sha)) {
+            commits.set(commit.sha, commit);
+          }
+        }
+      }
+
+      const activities = [...commits.values()];
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(activities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('git', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('git', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        repositories: repositories.length,
+        totalActivities: activities.length,
+      });
+
+      return activities;
+    } catch (error) {
+      console.error('Local git sync error:', error.message);
+      throw error;
+    }
+  }
+
+  expandHome(dir) {
+    return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+  }
+
+  // A configured directory is either a working copy itself or a folder of them
+  async findRepositories(dir, depth) {
+    if (!(await fs.pathExists(dir))) {
+      console.warn(`⚠️ Git directory not found: ${dir}`);
+      return [];
+    }
+
+    // .git is a directory in normal clones and a file in worktrees/submodules
+    if (await fs.pathExists(path.join(dir, '.git'))) {
+      return [dir];
+    }
+
+    if (depth <= 0) {
+      return [];
+    }
+
+    const repositories = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === 'node_modules') {
+        continue;
+      }
+      repositories.push(...await this.findRepositories(path.join(dir, entry.name), depth - 1));
+    }
+
+    return repositories;
+  }
+
+  async git(repoPath, args) {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], { maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  }
+
+  async getAuthorEmails(repoPath) {
+    if (this.config.authorEmails && this.config.authorEmails.length > 0) {
+      return this.config.authorEmails;
+    }
+
+    try {
+      const email = (await this.git(repoPath, ['config', '--get', 'user.email'])).trim();
+      return email ? [email] : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Resolve the origin remote to "owner/repo" plus a web URL for commit links
+  async getRepositoryInfo(repoPath) {
+    let remote = '';
+    try {
+      remote = (await this.git(repoPath, ['config', '--get', 'remote.origin.url'])).trim();
+    } catch (error) {
+      // No origin remote: fall back to the directory name
+    }
+
+    const match = remote.match(/^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/(?:[^@/]+@)?|[^@/]+@)([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/);
+    if (!match) {
+      return { name: path.basename(path.resolve(repoPath)), webUrl: null };
+    }
+
+    const [, host, repoName] = match;
+    // Only GitHub and GitLab share the /commit/<sha> URL layout
+    const webUrl = /github|gitlab/i.test(host) ? `https://${host}/${repoName}` : null;
+
+    return { name: repoName, webUrl };
+  }
+
+  async getCommits(repoPath, startDate, endDate) {
+    try {
+      const emails = await this.getAuthorEmails(repoPath);
+      if (emails.length === 0) {
+        console.warn(`⚠️ No author email for ${repoPath} — set integrations.git.authorEmails`);
+        return [];
+      }
+
+      const { name, webUrl } = await this.getRepositoryInfo(repoPath);
+
+      // --since filters on committer date, so this relies on commits being
+      // committed no earlier than they were authored. Ordinary commits, rebases
+      // and amends (which reset the committer date to now) satisfy that; a
+      // committer date before the author date (--date, GIT_AUTHOR_DATE,
+      // GIT_COMMITTER_DATE, clock skew between machines) can drop the commit.
+      // The window itself is applied to the author date below.
+      const output = await this.git(repoPath, [
+        'log',
+        '--branches',
+        '--remotes',
+        '--source',
+        '--no-merges',
+        '--numstat',
+        `--since=${startDate.toISOString()}`,
+        ...emails.map(email => `--author=${email.replace(/[.[\]*^$\\]/g, '\\$&')}`),
+        `--format=${RECORD_SEP}%H${FIELD_SEP}%S${FIELD_SEP}%aI${FIELD_SEP}%s`,
+      ]);
+
+      const commits = [];
+
+      for (const record of output.split(RECORD_SEP).slice(1)) {
+        const [header, ...statLines] = record.split('\n');
+        const [sha, source, authorDate, subject] = header.split(FIELD_SEP);
+
+        const timestamp = new Date(authorDate);
+        if (timestamp < startDate || timestamp > endDate) {
+          continue;
+        }
+
+        const stats = this.parseNumstat(statLines);
+
+        commits.push({
+          type: 'commit',
+          repository: name,
+          branch: this.formatBranch(source),
+          sha,
+          message: subject,
+          url: webUrl ? `${webUrl}/commit/${sha}` : null,
+          filesChanged: stats.filesChanged,
+          additions: stats.additions,
+          deletions: stats.deletions,
+          timestamp: timestamp.toISOString(),
+        });
+      }
+
+      return commits;
+    } catch (error) {
+      console.error(`Error reading git log in ${repoPath}:`, error.message);
+      return [];
+    }
+  }
+
+  parseNumstat(lines) {
+    const stats = { filesChanged: 0, additions: 0, deletions: 0 };
+
+    for (const line of lines) {
+      const [added, deleted] = line.split('\t');
+      if (!line.trim() || deleted === undefined) continue;
+
+      stats.filesChanged++;
+      // Binary files report "-" for both counts
+      stats.additions += parseInt(added, 10) || 0;
+      stats.deletions += parseInt(deleted, 10) || 0;
+    }
+
+    return stats;
+  }
+
+  formatBranch(source) {
+    return (source || '')
+      .replace(/^refs\/heads\//, '')
+      .replace(/^refs\/remotes\/[^/]+\//, '');
+  }
+
+  // Commits already recorded by the GitHub integration for the same window
+  async getTrackedShas(startDate, endDate) {
+    const shas = new Set();
+    if (this.config.skipGitHubDuplicates === false) {
+      return shas;
+    }
+
+    const dataByDate = await this.storage.getRawDataForDateRange(
+      'github',
+      format(startDate, 'yyyy-MM-dd'),
+      format(endDate, 'yyyy-MM-dd'),
+    );
+
+    for (const { data } of Object.values(dataByDate)) {
+      for (const activity of data || []) {
+        if (activity.type === 'commit' && activity.sha) {
+          shas.add(activity.sha);
+        }
+      }
+    }
+
+    return shas;
+  }
+}
+
+export default LocalGitIntegration;
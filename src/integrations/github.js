@@ -1,76 +1,376 @@
 import { Octokit } from '@octokit/rest';
-import { format, startOfDay, endOfDay } from 'date-fns';
+import { format, startOfDay, endOfDay, addYears } from 'date-fns';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate, filterRepositories } from '../utils/activities.js';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+const PRS_CREATED_QUERY = `
+  query($q: String!, $after: String) {
+    search(query: $q, type: ISSUE, first: 50, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ... on PullRequest {
+          number
+          title
+          url
+          createdAt
+          state
+          isDraft
+          merged
+          mergedAt
+          additions
+          deletions
+          changedFiles
+          repository { nameWithOwner }
+          labels(first: 20) { nodes { name } }
+        }
+      }
+    }
+  }
+`;
+
+const PRS_REVIEWED_QUERY = `
+  query($login: String!, $from: DateTime!, $to: DateTime!, $after: String) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        pullRequestReviewContributions(first: 50, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            pullRequestReview {
+              state
+              body
+              submittedAt
+              comments(first: 30) {
+                totalCount
+                nodes {
+                  path
+                  line
+                  originalLine
+                  body
+                  replyTo { id }
+                }
+              }
+            }
+            pullRequest {
+              number
+              title
+              url
+              merged
+              additions
+              deletions
+              changedFiles
+              author { login }
+              repository { nameWithOwner }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
 
 class GitHubIntegration {
+  static id = 'github';
+  static label = 'GitHub';
+  static kind = 'code';
+  static requiredEnv = ['GITHUB_TOKEN'];
+  static sectionTitle = 'GitHub Activities';
+  static linkLabel = 'View on GitHub';
+
+  static describeActivity(data) {
+    if (data.type === 'pr_created') {
+      return `🔧 **PR Created**: "${data.title}" in ${data.repository}${GitHubIntegration.formatSize(data)}`;
+    } else if (data.type === 'pr_reviewed') {
+      return `👁️ **PR Reviewed**: "${data.title}" in ${data.repository} (${GitHubIntegration.formatReview(data)})`;
+    } else if (data.type === 'pr_commented') {
+      return `💬 **PR Comment**: on "${data.title}" in ${data.repository} (${GitHubIntegration.formatCommentCount(data)})`;
+    } else if (data.type === 'pr_merged') {
+      return `🎉 **PR Merged**: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'pr_closed') {
+      return `🚫 **PR Closed**: "${data.title}" in ${data.repository} (not merged)`;
+    } else if (data.type === 'pr_review_requested') {
+      return `🙋 **Review ${data.rerequested ? 'Re-requested' : 'Requested'}**: "${data.title}" in ${data.repository} from ${data.reviewer}`;
+    } else if (data.type === 'pr_updated') {
+      return `⬆️ **PR Updated**: "${data.title}" in ${data.repository} (${GitHubIntegration.formatUpdate(data)})`;
+    } else if (data.type === 'commit') {
+      return `💻 **Commit**: "${data.message}" in ${data.repository}`;
+    } else if (data.type === 'issue_activity') {
+      return `🎯 **Issue**: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'workflow_run') {
+      const icon = { success: '✅', failure: '❌', cancelled: '⚪' }[data.conclusion] || '⚙️';
+      return `${icon} **Workflow Run**: "${data.workflow}" in ${data.repository} (${GitHubIntegration.formatRun(data)})`;
+    } else if (data.type === 'release_published') {
+      return `🚀 **Release Published**: "${data.title}" in ${data.repository}${data.prerelease ? ' (pre-release)' : ''}`;
+    } else if (data.type === 'tag_created') {
+      return `🏷️ **Tag Created**: ${data.tag} in ${data.repository}`;
+    }
+    return `🐙 **${data.type}** in ${data.repository}`;
+  }
+
+  static summarizeActivity(data) {
+    if (data.type === 'pr_created') {
+      return `Created PR: "${data.title}" in ${data.repository}${GitHubIntegration.formatSize(data)}`;
+    } else if (data.type === 'pr_reviewed') {
+      return `Reviewed PR: "${data.title}" in ${data.repository} (${GitHubIntegration.formatReview(data)})${GitHubIntegration.formatFeedback(data)}`;
+    } else if (data.type === 'pr_commented') {
+      const whose = data.ownPR ? 'own PR' : `PR by ${data.author}`;
+      return `Commented on ${whose}: "${data.title}" in ${data.repository}${GitHubIntegration.formatFeedback(data)}`;
+    } else if (data.type === 'pr_merged') {
+      return `Merged PR: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'pr_closed') {
+      return `Closed PR without merging: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'pr_review_requested') {
+      return `${data.rerequested ? 'Re-requested' : 'Requested'} review from ${data.reviewer} on PR: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'pr_updated') {
+      return `Updated PR: "${data.title}" in ${data.repository} (${GitHubIntegration.formatUpdate(data)})`;
+    } else if (data.type === 'commit') {
+      return `Committed: "${data.message}" in ${data.repository}`;
+    } else if (data.type === 'issue_activity') {
+      return `Issue activity: "${data.title}" in ${data.repository}`;
+    } else if (data.type === 'workflow_run') {
+      return `Ran workflow "${data.workflow}" in ${data.repository} (${GitHubIntegration.formatRun(data)})`;
+    } else if (data.type === 'release_published') {
+      return `Published release "${data.title}" (${data.tag}) in ${data.repository}`;
+    } else if (data.type === 'tag_created') {
+      return `Created tag ${data.tag} in ${data.repository}`;
+    }
+    return `${data.type} in ${data.repository}`;
+  }
+
+  // Older raw data (and GitLab) may not carry PR sizes
+  static formatSize(data) {
+    if (!data.changedFiles) return '';
+    return ` (+${data.additions}/-${data.deletions}, ${data.changedFiles} files${data.merged ? ', merged' : ''})`;
+  }
+
+  static formatReview(data) {
+    return data.reviewComments ? `${data.reviewState}, ${data.reviewComments} comments` : data.reviewState;
+  }
+
+  static formatCommentCount(data) {
+    return `${data.commentCount} comment${data.commentCount === 1 ? '' : 's'}`;
+  }
+
+  // What was actually said, for the AI prompt: the review body plus inline
+  // comments with their file and line
+  static formatFeedback(data) {
+    const parts = [];
+    const body = GitHubIntegration.excerpt(data.reviewBody);
+    if (body) {
+      parts.push(`"${body}"`);
+    }
+
+    for (const comment of (data.comments || []).slice(0, 5)) {
+      const location = comment.path ? `${comment.path}${comment.line ? `:${comment.line}` : ''}: ` : '';
+      parts.push(`${comment.isReply ? 'replied ' : ''}${location}"${comment.excerpt}"`);
+    }
+
+    if ((data.comments || []).length > 5) {
+      parts.push(`and ${data.comments.length - 5} more`);
+    }
+
+    return parts.length > 0 ? ` — ${parts.join('; ')}` : '';
+  }
+
+  static excerpt(text, length = 160) {
+    const plain = (text || '')
+      .replace(/```suggestion[\s\S]*?```/g, '[suggested change]')
+      .replace(/```[\s\S]*?```/g, '[code]')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return plain.length > length ? `${plain.substring(0, length - 1)}…` : plain;
+  }
+
+  static formatUpdate(data) {
+    const commits = `${data.commitCount} new commit${data.commitCount === 1 ? '' : 's'}`;
+    return data.forcePushed ? `${commits}, force-pushed` : commits;
+  }
+
+  static formatRun(data) {
+    const duration = data.duration !== null ? `, ${Math.round(data.duration)}m` : '';
+    return `${data.event} on ${data.branch}, ${data.conclusion || data.status}${duration}`;
+  }
+
   constructor(config, storage) {
     this.name = 'GitHub';
-    this.config = config.integrations.github;
     this.storage = storage;
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
+    this.api = new ApiClient(config, 'github', 'GitHub');
+    this.accounts = this.resolveAccounts(config.integrations.github);
+    this.useAccount(this.accounts[0]);
+  }
+
+  // integrations.github.accounts lists several accounts (github.com, GitHub
+  // Enterprise Server, ...). Each inherits the top-level settings and overrides
+  // what differs; without the list, the top-level block is the only account.
+  resolveAccounts(githubConfig) {
+    const { accounts, ...shared } = githubConfig;
+    // Logins differ between hosts, so the top-level username isn't inherited
+    const entries = accounts && accounts.length > 0
+      ? accounts.map(account => ({ username: null, ...account }))
+      : [{}];
+
+    return entries.map(entry => {
+      const accountConfig = { ...shared, ...entry };
+      const baseUrl = (accountConfig.baseUrl || DEFAULT_API_URL).replace(/\/$/, '');
+      const isDotCom = baseUrl === DEFAULT_API_URL;
+
+      const octokit = new Octokit({
+        auth: process.env[accountConfig.tokenEnv || 'GITHUB_TOKEN'],
+        baseUrl,
+      });
+      // Every request, including each paginate() page and GraphQL query, goes through this.api
+      octokit.hook.wrap('request', (request, options) => this.api.call(() => request(options)));
+
+      return {
+        name: accountConfig.name || (isDotCom ? 'github.com' : new URL(baseUrl).host),
+        config: accountConfig,
+        webUrl: isDotCom ? 'https://github.com' : baseUrl.replace(/\/api\/v3$/, ''),
+        octokit,
+        username: accountConfig.username || null,
+      };
     });
-    this.username = config.integrations.github.username || null;
+  }
+
+  // The collectors read this.config, this.octokit and this.username; point them at one account
+  useAccount(account) {
+    this.account = account;
+    this.config = account.config;
+    this.octokit = account.octokit;
+    this.username = account.username;
   }
 
   async sync(startDate, endDate) {
     try {
-      // Get authenticated user info
-      if (!this.username) {
-        const { data: user } = await this.octokit.rest.users.getAuthenticated();
-        this.username = user.login;
-      }
-
       const activities = [];
+      const failedAccounts = [];
+      let lastError = null;
 
-      // Get PRs created
-      if (this.config.trackPRsCreated) {
-        const createdPRs = await this.getPRsCreated(startDate, endDate);
-        activities.push(...createdPRs);
-      }
-
-      // Get PRs reviewed
-      if (this.config.trackPRsReviewed) {
-        const reviewedPRs = await this.getPRsReviewed(startDate, endDate);
-        activities.push(...reviewedPRs);
-      }
-
-      // Get issues worked on
-      if (this.config.trackIssues) {
-        const issues = await this.getIssuesWorkedOn(startDate, endDate);
-        activities.push(...issues);
+      for (const account of this.accounts) {
+        try {
+          activities.push(...await this.syncAccount(account, startDate, endDate));
+        } catch (error) {
+          console.error(`GitHub sync error for ${account.name}:`, error.message);
+          failedAccounts.push(account.name);
+          lastError = error;
+        }
       }
 
-      // Get commits
-      if (this.config.trackCommits) {
-        const commits = await this.getCommits(startDate, endDate);
-        activities.push(...commits);
+      if (failedAccounts.length === this.accounts.length) {
+        throw lastError;
       }
 
-      // Filter out excluded repositories
-      const filteredActivities = this.filterRepositories(activities);
-
       // Group activities by date and save
-      const activitiesByDate = this.groupActivitiesByDate(filteredActivities);
+      const activitiesByDate = groupActivitiesByDate(activities);
       
       for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
-        await this.storage.saveRawData('github', dateStr, dayActivities);
+        // All accounts share one file per day; keep what a failed account stored earlier
+        const kept = await this.getStoredActivities(dateStr, failedAccounts);
+        await this.storage.saveRawData('github', dateStr, [...kept, ...dayActivities]);
       }
 
       // Update sync state
       await this.storage.setSyncState('github', {
         lastSyncStart: startDate.toISOString(),
         lastSyncEnd: endDate.toISOString(),
-        totalActivities: filteredActivities.length,
-        username: this.username,
+        totalActivities: activities.length,
+        username: this.accounts[0].username,
+        accounts: this.accounts.map(account => ({
+          name: account.name,
+          username: account.username,
+          failed: failedAccounts.includes(account.name),
+        })),
       });
 
-      return filteredActivities;
+      return activities;
     } catch (error) {
       console.error('GitHub sync error:', error.message);
       throw error;
     }
   }
 
+  async syncAccount(account, startDate, endDate) {
+    this.useAccount(account);
+
+    // Get authenticated user info
+    if (!this.username) {
+      const { data: user } = await this.octokit.rest.users.getAuthenticated();
+      this.username = account.username = user.login;
+    }
+
+    if (this.accounts.length > 1) {
+      console.log(`🐙 Syncing GitHub account ${account.name} (${this.username})...`);
+    }
+
+    const activities = [];
+
+    // Get PRs created
+    if (this.config.trackPRsCreated) {
+      const createdPRs = await this.getPRsCreated(startDate, endDate);
+      activities.push(...createdPRs);
+    }
+
+    // Get merges, closes, review requests and pushes on our PRs
+    if (this.config.trackPRLifecycle) {
+      const lifecycleEvents = await this.getPRLifecycleEvents(startDate, endDate);
+      activities.push(...lifecycleEvents);
+    }
+
+    // Get PRs reviewed
+    if (this.config.trackPRsReviewed) {
+      const reviewedPRs = await this.getPRsReviewed(startDate, endDate);
+      activities.push(...reviewedPRs);
+    }
+
+    // Get comments posted in PR conversations
+    if (this.config.trackPRComments) {
+      const prComments = await this.getPRComments(startDate, endDate);
+      activities.push(...prComments);
+    }
+
+    // Get issues worked on
+    if (this.config.trackIssues) {
+      const issues = await this.getIssuesWorkedOn(startDate, endDate);
+      activities.push(...issues);
+    }
+
+    // Get commits
+    if (this.config.trackCommits) {
+      const commits = await this.getCommits(startDate, endDate);
+      activities.push(...commits);
+    }
+
+    // Get CI/CD activity: workflow runs, releases and tags
+    if (this.config.trackWorkflowRuns || this.config.trackReleases) {
+      const events = await this.getUserEvents(startDate);
+      const repositories = this.getCandidateRepositories(activities, events);
+
+      if (this.config.trackWorkflowRuns) {
+        activities.push(...await this.getWorkflowRuns(repositories, startDate, endDate));
+      }
+
+      if (this.config.trackReleases) {
+        activities.push(...await this.getReleases(repositories, events, startDate, endDate));
+      }
+    }
+
+    // Filter out excluded repositories and tag the rest with their account
+    return filterRepositories(activities, this.config).map(activity => ({ ...activity, account: account.name }));
+  }
+
+  async getStoredActivities(dateStr, accountNames) {
+    if (accountNames.length === 0) {
+      return [];
+    }
+
+    const stored = await this.storage.getRawData('github', dateStr);
+    // Activities stored before accounts existed belong to the first account
+    return (stored?.data || []).filter(activity =>
+      accountNames.includes(activity.account || this.accounts[0].name)
+    );
+  }
+
   async paginatedSearch(q, sort) {
     // Search API caps at 1000 results per query; paginate up to that limit
     const items = await this.octokit.paginate(this.octokit.rest.search.issuesAndPullRequests, {
@@ -85,36 +385,51 @@ class GitHubIntegration {
     return items;
   }
 
+  // Follow a GraphQL connection's pageInfo until every node has been read
+  async graphqlPaginate(query, variables, getConnection) {
+    const nodes = [];
+    let after = null;
+
+    do {
+      const data = await this.octokit.graphql(query, { ...variables, after });
+      const connection = getConnection(data);
+      nodes.push(...connection.nodes);
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    return nodes;
+  }
+
   async getPRsCreated(startDate, endDate) {
     try {
-      const prs = [];
       const formattedStart = startDate.toISOString().split('T')[0];
       const formattedEnd = endDate.toISOString().split('T')[0];
-      
-      // Search for PRs created by the user in the date range
-      const items = await this.paginatedSearch(
-        `author:${this.username} type:pr created:${formattedStart}..${formattedEnd}`,
-        'created'
-      );
 
-      for (const pr of items) {
-        prs.push({
-          type: 'pr_created',
-          repository: pr.repository_url.split('/').slice(-2).join('/'),
-          title: pr.title,
-          number: pr.number,
-          url: pr.html_url,
-          timestamp: pr.created_at,
-          state: pr.state,
-          draft: pr.draft,
-          labels: pr.labels.map(l => l.name),
-          additions: 0, // Will be filled in detailed call if needed
-          deletions: 0,
-          changedFiles: 0,
-        });
+      // One search returns the PRs together with their size and merge state
+      const items = await this.graphqlPaginate(PRS_CREATED_QUERY, {
+        q: `author:${this.username} type:pr created:${formattedStart}..${formattedEnd}`,
+      }, data => data.search);
+
+      if (items.length >= 1000) {
+        console.warn(`⚠️ GitHub search hit the 1000-result cap for PRs created — split the sync into smaller date ranges`);
       }
 
-      return prs;
+      return items.map(pr => ({
+        type: 'pr_created',
+        repository: pr.repository.nameWithOwner,
+        title: pr.title,
+        number: pr.number,
+        url: pr.url,
+        timestamp: pr.createdAt,
+        state: pr.state === 'OPEN' ? 'open' : 'closed',
+        draft: pr.isDraft,
+        merged: pr.merged,
+        mergedAt: pr.mergedAt,
+        labels: pr.labels.nodes.map(l => l.name),
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changedFiles: pr.changedFiles,
+      }));
     } catch (error) {
       console.error('Error fetching created PRs:', error.message);
       return [];
@@ -124,61 +439,226 @@ class GitHubIntegration {
   async getPRsReviewed(startDate, endDate) {
     try {
       const reviews = [];
-      
-      // GitHub doesn't have a direct search for reviews, so we'll search for PRs where user has commented
-      // This is a limitation we'll document
+
+      // Review contributions list every review submitted in the window directly,
+      // instead of searching commented PRs and listing each one's reviews.
+      // contributionsCollection accepts at most one year per query.
+      for (let from = new Date(startDate); from < endDate; from = addYears(from, 1)) {
+        const to = new Date(Math.min(addYears(from, 1), endDate));
+
+        const contributions = await this.graphqlPaginate(PRS_REVIEWED_QUERY, {
+          login: this.username,
+          from: from.toISOString(),
+          to: to.toISOString(),
+        }, data => data.user.contributionsCollection.pullRequestReviewContributions);
+
+        for (const { pullRequest: pr, pullRequestReview: review } of contributions) {
+          // Skip PRs created by the same user
+          if (pr.author?.login === this.username) continue;
+
+          reviews.push({
+            type: 'pr_reviewed',
+            repository: pr.repository.nameWithOwner,
+            title: pr.title,
+            number: pr.number,
+            url: pr.url,
+            timestamp: review.submittedAt,
+            reviewState: review.state,
+            reviewBody: review.body,
+            reviewComments: review.comments.totalCount,
+            comments: review.comments.nodes.map(comment => ({
+              path: comment.path,
+              line: comment.line ?? comment.originalLine,
+              excerpt: GitHubIntegration.excerpt(comment.body),
+              isReply: Boolean(comment.replyTo),
+            })),
+            author: pr.author?.login || 'ghost',
+            merged: pr.merged,
+            additions: pr.additions,
+            deletions: pr.deletions,
+            changedFiles: pr.changedFiles,
+          });
+        }
+      }
+
+      return reviews;
+    } catch (error) {
+      console.error('Error fetching reviewed PRs:', error.message);
+      return [];
+    }
+  }
+
+  // Conversation comments (not inline review comments) on any PR, our own
+  // included, collapsed to one activity per PR and day
+  async getPRComments(startDate, endDate) {
+    try {
+      const activities = [];
       const formattedStart = startDate.toISOString().split('T')[0];
       const formattedEnd = endDate.toISOString().split('T')[0];
-      
+
       const items = await this.paginatedSearch(
         `commenter:${this.username} type:pr updated:${formattedStart}..${formattedEnd}`,
         'updated'
       );
 
       for (const pr of items) {
-        // Skip PRs created by the same user
-        if (pr.user.login === this.username) continue;
-
-        // Check if there are actual reviews (this requires additional API calls)
         try {
           const [owner, repo] = pr.repository_url.split('/').slice(-2);
-          const { data: prReviews } = await this.octokit.rest.pulls.listReviews({
+          const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
             owner,
             repo,
-            pull_number: pr.number,
+            issue_number: pr.number,
+            since: startDate.toISOString(),
+            per_page: 100,
           });
 
-          const userReviews = prReviews.filter(review => 
-            review.user.login === this.username &&
-            new Date(review.submitted_at) >= startDate &&
-            new Date(review.submitted_at) <= endDate
-          );
+          const commentsByDay = {};
+          for (const comment of comments) {
+            const createdAt = new Date(comment.created_at);
+            if (comment.user?.login !== this.username || createdAt < startDate || createdAt > endDate) continue;
+
+            const day = format(createdAt, 'yyyy-MM-dd');
+            (commentsByDay[day] = commentsByDay[day] || []).push(comment);
+          }
 
-          for (const review of userReviews) {
-            reviews.push({
-              type: 'pr_reviewed',
+          for (const dayComments of Object.values(commentsByDay)) {
+            const last = dayComments[dayComments.length - 1];
+
+            activities.push({
+              type: 'pr_commented',
               repository: `${owner}/${repo}`,
               title: pr.title,
               number: pr.number,
-              url: pr.html_url,
-              timestamp: review.submitted_at,
-              reviewState: review.state,
-              reviewBody: review.body,
-              author: pr.user.login,
+              url: last.html_url,
+              timestamp: last.created_at,
+              author: pr.user?.login || 'ghost',
+              ownPR: pr.user?.login === this.username,
+              commentCount: dayComments.length,
+              comments: dayComments.map(comment => ({ excerpt: GitHubIntegration.excerpt(comment.body) })),
             });
           }
-        } catch (reviewError) {
-          console.error(`Error fetching reviews for PR ${pr.number}:`, reviewError.message);
+        } catch (commentError) {
+          console.error(`Error fetching comments for PR ${pr.number}:`, commentError.message);
         }
       }
 
-      return reviews;
+      return activities;
     } catch (error) {
-      console.error('Error fetching reviewed PRs:', error.message);
+      console.error('Error fetching PR comments:', error.message);
       return [];
     }
   }
 
+  // Replays the issue timeline of every PR we authored that changed in the
+  // window, so a PR shows up on each day something happened to it
+  async getPRLifecycleEvents(startDate, endDate) {
+    try {
+      const activities = [];
+      const formattedStart = startDate.toISOString().split('T')[0];
+      const formattedEnd = endDate.toISOString().split('T')[0];
+
+      const items = await this.paginatedSearch(
+        `author:${this.username} type:pr updated:${formattedStart}..${formattedEnd}`,
+        'updated'
+      );
+
+      for (const pr of items) {
+        try {
+          const [owner, repo] = pr.repository_url.split('/').slice(-2);
+          const timeline = await this.octokit.paginate(this.octokit.rest.issues.listEventsForTimeline, {
+            owner,
+            repo,
+            issue_number: pr.number,
+            per_page: 100,
+          });
+
+          activities.push(...this.timelineActivities(pr, `${owner}/${repo}`, timeline, startDate, endDate));
+        } catch (timelineError) {
+          console.error(`Error fetching timeline for PR ${pr.number}:`, timelineError.message);
+        }
+      }
+
+      return activities;
+    } catch (error) {
+      console.error('Error fetching PR lifecycle events:', error.message);
+      return [];
+    }
+  }
+
+  timelineActivities(pr, repository, timeline, startDate, endDate) {
+    const activities = [];
+    const base = { repository, title: pr.title, number: pr.number, url: pr.html_url };
+    const inWindow = date => date && new Date(date) >= startDate && new Date(date) <= endDate;
+    const wasMerged = timeline.some(event => event.event === 'merged');
+    const requestedReviewers = new Set();
+    const seenCommits = new Set();
+    const updatesByDay = {};
+
+    const addUpdate = (timestamp, changes) => {
+      const day = format(new Date(timestamp), 'yyyy-MM-dd');
+      const update = updatesByDay[day] || { ...base, type: 'pr_updated', commitCount: 0, forcePushed: false, timestamp };
+      update.commitCount += changes.commitCount || 0;
+      update.forcePushed = update.forcePushed || Boolean(changes.forcePushed);
+      if (timestamp > update.timestamp) {
+        update.timestamp = timestamp;
+      }
+      updatesByDay[day] = update;
+    };
+
+    // The timeline is chronological, so earlier requests are seen before re-requests
+    for (const event of timeline) {
+      switch (event.event) {
+        case 'merged':
+          if (inWindow(event.created_at)) {
+            activities.push({ ...base, type: 'pr_merged', mergedBy: event.actor?.login, timestamp: event.created_at });
+          }
+          break;
+
+        case 'closed':
+          // A merge also emits "closed"; only report PRs closed without merging
+          if (!wasMerged && inWindow(event.created_at)) {
+            activities.push({ ...base, type: 'pr_closed', closedBy: event.actor?.login, timestamp: event.created_at });
+          }
+          break;
+
+        case 'review_requested': {
+          const reviewer = event.requested_reviewer?.login || event.requested_team?.name || 'unknown';
+          const rerequested = requestedReviewers.has(reviewer);
+          requestedReviewers.add(reviewer);
+
+          if (event.actor?.login === this.username && inWindow(event.created_at)) {
+            activities.push({ ...base, type: 'pr_review_requested', reviewer, rerequested, timestamp: event.created_at });
+          }
+          break;
+        }
+
+        case 'committed': {
+          // Rebases and cherry-picks give a commit a new SHA and committer date but
+          // keep its author date and message, so count commits by when they were
+          // authored and only once however often they were rewritten. Commits
+          // made before the PR was opened are part of pr_created.
+          const authored = event.author?.date || event.committer?.date;
+          const key = `${authored}:${event.message}`;
+          if (seenCommits.has(key)) break;
+          seenCommits.add(key);
+
+          if (inWindow(authored) && new Date(authored) > new Date(pr.created_at)) {
+            addUpdate(authored, { commitCount: 1 });
+          }
+          break;
+        }
+
+        case 'head_ref_force_pushed':
+          if (event.actor?.login === this.username && inWindow(event.created_at)) {
+            addUpdate(event.created_at, { forcePushed: true });
+          }
+          break;
+      }
+    }
+
+    return [...activities, ...Object.values(updatesByDay)];
+  }
+
   async getIssuesWorkedOn(startDate, endDate) {
     try {
       const issues = [];
@@ -255,39 +735,163 @@ class GitHubIntegration {
     }
   }
 
-  filterRepositories(activities) {
-    return activities.filter(activity => {
-      const repoName = activity.repository;
-      
-      // Skip excluded repositories
-      if (this.config.excludeRepos.includes(repoName)) {
-        return false;
-      }
+  // The events feed covers the last 90 days (max 300 events); it tells us which
+  // repositories to check for runs and releases, and is the only record of tags
+  async getUserEvents(startDate) {
+    try {
+      const events = [];
 
-      // Skip repositories matching excluded patterns
-      if (this.config.excludeRepoPatterns.some(pattern => {
-        const regex = new RegExp(pattern.replace('*', '.*'), 'i');
-        return regex.test(repoName);
-      })) {
-        return false;
+      for (let page = 1; page <= 3; page++) {
+        const { data } = await this.octokit.rest.activity.listEventsForAuthenticatedUser({
+          username: this.username,
+          per_page: 100,
+          page,
+        });
+        events.push(...data);
+
+        if (data.length < 100 || new Date(data[data.length - 1].created_at) < startDate) break;
       }
 
+      return events;
+    } catch (error) {
+      console.error('Error fetching user events:', error.message);
+      return [];
+    }
+  }
+
+  getCandidateRepositories(activities, events) {
+    const repositories = new Set(this.config.workflowRepos || []);
+
+    for (const activity of activities) {
+      repositories.add(activity.repository);
+    }
+
+    for (const event of events) {
+      repositories.add(event.repo.name);
+    }
+
+    return [...repositories].filter(repo => filterRepositories([{ repository: repo }], this.config).length > 0);
+  }
+
+  isTrackedWorkflow(run) {
+    if ((this.config.workflowEvents || []).includes(run.event)) {
       return true;
+    }
+
+    return (this.config.workflowNamePatterns || []).some(pattern => {
+      const regex = new RegExp(`^${pattern.replace(/\*/g, '.*')}$`, 'i');
+      return regex.test(run.name || '');
     });
   }
 
-  groupActivitiesByDate(activities) {
-    const grouped = {};
-    
-    for (const activity of activities) {
-      const date = format(new Date(activity.timestamp), 'yyyy-MM-dd');
-      if (!grouped[date]) {
-        grouped[date] = [];
+  async getWorkflowRuns(repositories, startDate, endDate) {
+    const runs = [];
+    const formattedStart = startDate.toISOString().split('T')[0];
+    const formattedEnd = endDate.toISOString().split('T')[0];
+
+    for (const repository of repositories) {
+      try {
+        const [owner, repo] = repository.split('/');
+        // No actor filter: it matches the run's original actor, which would hide
+        // the user's re-runs of someone else's runs
+        const items = await this.octokit.paginate(this.octokit.rest.actions.listWorkflowRunsForRepo, {
+          owner,
+          repo,
+          created: `${formattedStart}..${formattedEnd}`,
+          per_page: 100,
+        });
+
+        for (const run of items) {
+          // Re-runs keep the original actor; triggering_actor is who clicked
+          const triggeredBy = run.triggering_actor?.login || run.actor?.login;
+          if (triggeredBy !== this.username || !this.isTrackedWorkflow(run)) continue;
+
+          const started = run.run_started_at || run.created_at;
+          if (new Date(started) < startDate || new Date(started) > endDate) continue;
+
+          const finished = run.status === 'completed' ? run.updated_at : null;
+
+          runs.push({
+            type: 'workflow_run',
+            repository,
+            workflow: run.name,
+            event: run.event,
+            branch: run.head_branch,
+            status: run.status,
+            conclusion: run.conclusion,
+            runNumber: run.run_number,
+            runAttempt: run.run_attempt,
+            duration: finished ? (new Date(finished) - new Date(started)) / (1000 * 60) : null,
+            url: run.html_url,
+            timestamp: started,
+          });
+        }
+      } catch (error) {
+        // Repos without Actions (or without access) are expected here
+        if (error.status !== 404 && error.status !== 403) {
+          console.error(`Error fetching workflow runs for ${repository}:`, error.message);
+        }
+      }
+    }
+
+    return runs;
+  }
+
+  async getReleases(repositories, events, startDate, endDate) {
+    const activities = [];
+    const releasedTags = new Set();
+    const inWindow = date => new Date(date) >= startDate && new Date(date) <= endDate;
+
+    for (const repository of repositories) {
+      try {
+        const [owner, repo] = repository.split('/');
+        // Releases come newest first; the first page or two covers any normal sync window
+        const items = await this.octokit.paginate(
+          this.octokit.rest.repos.listReleases,
+          { owner, repo, per_page: 100 },
+          (response, done) => {
+            const last = response.data[response.data.length - 1];
+            if (last && last.published_at && new Date(last.published_at) < startDate) done();
+            return response.data;
+          }
+        );
+
+        for (const release of items) {
+          if (release.draft || release.author?.login !== this.username || !inWindow(release.published_at)) continue;
+
+          releasedTags.add(`${repository}@${release.tag_name}`);
+          activities.push({
+            type: 'release_published',
+            repository,
+            title: release.name || release.tag_name,
+            tag: release.tag_name,
+            prerelease: release.prerelease,
+            url: release.html_url,
+            timestamp: release.published_at,
+          });
+        }
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 403) {
+          console.error(`Error fetching releases for ${repository}:`, error.message);
+        }
       }
-      grouped[date].push(activity);
     }
-    
-    return grouped;
+
+    // Tags pushed without a release only show up in the events feed
+    for (const event of events) {
+      if (event.type !== 'CreateEvent' || event.payload.ref_type !== 'tag' || !inWindow(event.created_at)) continue;
+      if (releasedTags.has(`${event.repo.name}@${event.payload.ref}`)) continue;
+
+      activities.push({
+        type: 'tag_created',
+        repository: event.repo.name,
+        tag: event.payload.ref,
+        url: `${this.account.webUrl}/${event.repo.name}/releases/tag/${event.payload.ref}`,
+        timestamp: event.created_at,
+      });
+    }
+
+    return activities;
   }
 }
 
@@ -0,0 +1,332 @@
+import { format, addDays, subDays } from 'date-fns';
+import GitHubIntegration from './github.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate, filterRepositories } from '../utils/activities.js';
+
+// Emits the same activity shapes as GitHubIntegration (pr_created, pr_reviewed,
+// commit, issue_activity) so journals and reports treat merge requests like PRs.
+class GitLabIntegration {
+  static id = 'gitlab';
+  static label = 'GitLab';
+  static kind = 'code';
+  static requiredEnv = ['GITLAB_TOKEN'];
+  static sectionTitle = 'GitLab Activities';
+  static linkLabel = 'View on GitLab';
+
+  static describeActivity(data) {
+    return GitHubIntegration.describeActivity(data);
+  }
+
+  static summarizeActivity(data) {
+    return GitHubIntegration.summarizeActivity(data);
+  }
+
+  constructor(config, storage) {
+    this.name = 'GitLab';
+    this.config = config.integrations.gitlab;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'gitlab', 'GitLab');
+    this.baseUrl = (this.config.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+    this.token = this.config.token || process.env.GITLAB_TOKEN;
+    this.username = this.config.username || null;
+    this.userId = null;
+    this.projects = new Map();
+    this.mergeRequests = new Map();
+    this.issues = new Map();
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      // Get authenticated user info
+      if (!this.userId) {
+        const user = this.username
+          ? (await this.request('/users', { username: this.username }))[0]
+          : await this.request('/user');
+        if (!user) {
+          throw new Error(`GitLab user "${this.username}" not found`);
+        }
+        this.userId = user.id;
+        this.username = user.username;
+      }
+
+      const activities = [];
+
+      // Get MRs created
+      if (this.config.trackPRsCreated) {
+        const createdMRs = await this.getMRsCreated(startDate, endDate);
+        activities.push(...createdMRs);
+      }
+
+      // Approvals, review notes, pushes and issue activity all come from the events feed
+      const events = await this.getUserEvents(startDate, endDate);
+
+      if (this.config.trackPRsReviewed) {
+        const reviewedMRs = await this.getMRsReviewed(events);
+        activities.push(...reviewedMRs);
+      }
+
+      if (this.config.trackIssues) {
+        const issues = await this.getIssuesWorkedOn(events);
+        activities.push(...issues);
+      }
+
+      if (this.config.trackCommits) {
+        const commits = await this.getCommits(events);
+        activities.push(...commits);
+      }
+
+      // Filter out excluded repositories
+      const filteredActivities = filterRepositories(activities, this.config);
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(filteredActivities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('gitlab', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('gitlab', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: filteredActivities.length,
+        username: this.username,
+        baseUrl: this.baseUrl,
+      });
+
+      return filteredActivities;
+    } catch (error) {
+      console.error('GitLab sync error:', error.message);
+      throw error;
+    }
+  }
+
+  async fetchPage(path, params = {}) {
+    const url = new URL(`${this.baseUrl}/api/v4${path}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    const response = await this.api.fetch(url, {
+      headers: { 'PRIVATE-TOKEN': this.token },
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitLab API ${path}: ${response.status} - ${await response.text()}`);
+    }
+
+    return { data: await response.json(), nextPage: response.headers.get('x-next-page') };
+  }
+
+  async request(path, params = {}) {
+    const { data } = await this.fetchPage(path, params);
+    return data;
+  }
+
+  async paginate(path, params = {}) {
+    const items = [];
+    let page = '1';
+
+    while (page) {
+      const { data, nextPage } = await this.fetchPage(path, { ...params, per_page: 100, page });
+      items.push(...data);
+      page = nextPage;
+    }
+
+    return items;
+  }
+
+  async getProject(projectId) {
+    if (!this.projects.has(projectId)) {
+      this.projects.set(projectId, await this.request(`/projects/${projectId}`));
+    }
+    return this.projects.get(projectId);
+  }
+
+  async getMergeRequest(projectId, iid) {
+    const key = `${projectId}!${iid}`;
+    if (!this.mergeRequests.has(key)) {
+      this.mergeRequests.set(key, await this.request(`/projects/${projectId}/merge_requests/${iid}`));
+    }
+    return this.mergeRequests.get(key);
+  }
+
+  async getIssue(projectId, iid) {
+    const key = `${projectId}#${iid}`;
+    if (!this.issues.has(key)) {
+      this.issues.set(key, await this.request(`/projects/${projectId}/issues/${iid}`));
+    }
+    return this.issues.get(key);
+  }
+
+  async getUserEvents(startDate, endDate) {
+    try {
+      // after/before are exclusive calendar dates; trim to the exact window afterwards
+      const events = await this.paginate(`/users/${this.userId}/events`, {
+        after: format(subDays(startDate, 1), 'yyyy-MM-dd'),
+        before: format(addDays(endDate, 1), 'yyyy-MM-dd'),
+        sort: 'asc',
+      });
+
+      return events.filter(event => {
+        const created = new Date(event.created_at);
+        return created >= startDate && created <= endDate;
+      });
+    } catch (error) {
+      console.error('Error fetching GitLab events:', error.message);
+      return [];
+    }
+  }
+
+  async getMRsCreated(startDate, endDate) {
+    try {
+      const mrs = [];
+
+      const items = await this.paginate('/merge_requests', {
+        scope: 'all',
+        author_username: this.username,
+        created_after: startDate.toISOString(),
+        created_before: endDate.toISOString(),
+        state: 'all',
+      });
+
+      for (const mr of items) {
+        mrs.push({
+          type: 'pr_created',
+          repository: mr.references.full.split('!')[0],
+          title: mr.title,
+          number: mr.iid,
+          url: mr.web_url,
+          timestamp: mr.created_at,
+          state: mr.state,
+          draft: mr.draft || mr.work_in_progress || false,
+          labels: mr.labels || [],
+          additions: 0,
+          deletions: 0,
+          changedFiles: 0,
+        });
+      }
+
+      return mrs;
+    } catch (error) {
+      console.error('Error fetching created MRs:', error.message);
+      return [];
+    }
+  }
+
+  async getMRsReviewed(events) {
+    const reviews = [];
+
+    // Approvals are their own event; review notes arrive as comments on a merge request
+    const reviewEvents = events.filter(event =>
+      (event.action_name === 'approved' && event.target_type === 'MergeRequest') ||
+      (event.action_name === 'commented on' && event.note?.noteable_type === 'MergeRequest')
+    );
+
+    for (const event of reviewEvents) {
+      try {
+        const iid = event.target_type === 'MergeRequest' ? event.target_iid : event.note.noteable_iid;
+        const mr = await this.getMergeRequest(event.project_id, iid);
+
+        // Skip MRs created by the same user
+        if (mr.author?.username === this.username) continue;
+
+        const isApproval = event.action_name === 'approved';
+        reviews.push({
+          type: 'pr_reviewed',
+          repository: mr.references.full.split('!')[0],
+          title: mr.title,
+          number: mr.iid,
+          url: mr.web_url,
+          timestamp: event.created_at,
+          reviewState: isApproval ? 'APPROVED' : 'COMMENTED',
+          reviewBody: isApproval ? '' : (event.note?.body || ''),
+          author: mr.author?.username,
+        });
+      } catch (reviewError) {
+        console.error(`Error fetching MR for event ${event.id}:`, reviewError.message);
+      }
+    }
+
+    return reviews;
+  }
+
+  async getIssuesWorkedOn(events) {
+    const issues = [];
+    const seen = new Set();
+
+    const issueEvents = events.filter(event =>
+      event.target_type === 'Issue' || event.note?.noteable_type === 'Issue'
+    );
+
+    // One issue_activity per issue, stamped with the latest interaction like GitHub's updated_at
+    for (const event of issueEvents.reverse()) {
+      const iid = event.target_type === 'Issue' ? event.target_iid : event.note.noteable_iid;
+      const key = `${event.project_id}#${iid}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      try {
+        const issue = await this.getIssue(event.project_id, iid);
+        issues.push({
+          type: 'issue_activity',
+          repository: issue.references.full.split('#')[0],
+          title: issue.title,
+          number: issue.iid,
+          url: issue.web_url,
+          timestamp: event.created_at,
+          state: issue.state,
+          labels: issue.labels || [],
+          assignees: (issue.assignees || []).map(a => a.username),
+          isAssigned: (issue.assignees || []).some(a => a.username === this.username),
+        });
+      } catch (error) {
+        console.error(`Error fetching issue ${key}:`, error.message);
+      }
+    }
+
+    return issues;
+  }
+
+  async getCommits(events) {
+    const commits = [];
+
+    const pushEvents = events.filter(event =>
+      event.push_data && event.push_data.ref_type === 'branch' && event.push_data.commit_to
+    );
+
+    for (const event of pushEvents) {
+      try {
+        const project = await this.getProject(event.project_id);
+
+        // Only direct pushes to the default branch; branch work is covered by MR tracking
+        if (event.push_data.ref !== project.default_branch) continue;
+
+        // Push events only carry the subject, so check the commit's parents:
+        // merge commits come from merging MRs, which MR tracking already covers
+        const commit = await this.request(
+          `/projects/${event.project_id}/repository/commits/${event.push_data.commit_to}`
+        );
+        if ((commit.parent_ids || []).length > 1) continue;
+
+        commits.push({
+          type: 'commit',
+          repository: project.path_with_namespace,
+          sha: event.push_data.commit_to,
+          message: commit.title || (event.push_data.commit_title || '').split('\n')[0],
+          url: `${project.web_url}/-/commit/${event.push_data.commit_to}`,
+          timestamp: event.created_at,
+          commitCount: event.push_data.commit_count,
+        });
+      } catch (error) {
+        console.error(`Error fetching project ${event.project_id}:`, error.message);
+      }
+    }
+
+    return commits;
+  }
+}
+
+export default GitLabIntegration;
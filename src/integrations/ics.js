@@ -0,0 +1,254 @@
+import fs from 'fs-extra';
+import ICAL from 'ical.js';
+import { format } from 'date-fns';
+import GCalIntegration from './gcal.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const PARTSTAT_TO_RESPONSE = {
+  'ACCEPTED': 'accepted',
+  'DECLINED': 'declined',
+  'TENTATIVE': 'tentative',
+  'NEEDS-ACTION': 'needsAction',
+};
+
+// Offline calendar source: local .ics files, ICS feed URLs or CalDAV collections.
+// Occurrences are converted to Google Calendar's event shape and run through
+// GCalIntegration's own filtering and processing, so both sources produce
+// identical calendar_event records.
+class IcsCalendarIntegration {
+  static id = 'ics';
+  static label = 'ICS Calendar';
+  static kind = 'calendar';
+  static requiredEnv = [];
+  static sectionTitle = 'ICS Calendar Events';
+
+  static describeActivity(data) {
+    return GCalIntegration.describeActivity(data);
+  }
+
+  static summarizeActivity(data) {
+    return GCalIntegration.summarizeActivity(data);
+  }
+
+  constructor(config, storage) {
+    this.name = 'ICS Calendar';
+    this.config = config.integrations.ics;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'ics', 'ICS Calendar');
+    this.selfEmails = (this.config.selfEmails || []).map(email => email.toLowerCase());
+    this.eventProcessor = new GCalIntegration({ integrations: { gcal: this.config } }, storage);
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      const activities = [];
+
+      for (const source of this.config.sources || []) {
+        const calendar = {
+          id: source.path || source.url || source.caldav,
+          summary: source.name || source.path || source.url || source.caldav,
+        };
+
+        try {
+          const documents = await this.loadSource(source, startDate, endDate);
+          const events = documents.flatMap(ics => this.expandEvents(ics, startDate, endDate));
+
+          activities.push(...events
+            .filter(event => event.status !== 'cancelled' && this.eventProcessor.shouldIncludeEvent(event))
+            .flatMap(event => this.eventProcessor.isDayMarker(event)
+              ? this.eventProcessor.processDayMarker(event, calendar, startDate, endDate)
+              : [this.eventProcessor.processEvent(event, calendar)]));
+        } catch (error) {
+          console.error(`Error reading calendar ${calendar.summary}:`, error.message);
+        }
+      }
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(activities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('ics', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('ics', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: activities.length,
+      });
+
+      return activities;
+    } catch (error) {
+      console.error('ICS calendar sync error:', error.message);
+      throw error;
+    }
+  }
+
+  // Returns the raw iCalendar documents for a source
+  async loadSource(source, startDate, endDate) {
+    if (source.path) {
+      return [await fs.readFile(source.path, 'utf8')];
+    }
+
+    const headers = {};
+    if (source.username) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${source.username}:${source.password || ''}`).toString('base64')}`;
+    }
+
+    if (source.url) {
+      const response = await this.api.fetch(source.url, { headers });
+      if (!response.ok) {
+        throw new Error(`${response.status} - ${await response.text()}`);
+      }
+      return [await response.text()];
+    }
+
+    if (source.caldav) {
+      return this.queryCalDav(source.caldav, headers, startDate, endDate);
+    }
+
+    throw new Error('Calendar source needs a path, url or caldav entry');
+  }
+
+  // CalDAV calendar-query REPORT limited to the sync window. Recurring masters
+  // come back unexpanded, so expansion still happens locally.
+  async queryCalDav(url, headers, startDate, endDate) {
+    const toCalDavTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDavTime(startDate)}" end="${toCalDavTime(endDate)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+    const response = await this.api.fetch(url, {
+      method: 'REPORT',
+      headers: { ...headers, 'Content-Type': 'application/xml; charset=utf-8', 'Depth': '1' },
+      body,
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} - ${await response.text()}`);
+    }
+
+    const xml = await response.text();
+    const matches = xml.matchAll(/<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/gi);
+
+    return [...matches].map(match => match[1]
+      .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#13;/g, '\r')
+      .replace(/&amp;/g, '&'));
+  }
+
+  // Expand every VEVENT (including RRULE/RDATE/EXDATE and RECURRENCE-ID overrides)
+  // into Google-shaped single events starting inside the window
+  expandEvents(ics, startDate, endDate) {
+    const root = new ICAL.Component(ICAL.parse(ics));
+
+    for (const vtimezone of root.getAllSubcomponents('vtimezone')) {
+      ICAL.TimezoneService.register(vtimezone);
+    }
+
+    const vevents = root.getAllSubcomponents('vevent');
+    const masters = new Map();
+    const exceptions = [];
+
+    for (const vevent of vevents) {
+      const event = new ICAL.Event(vevent);
+      if (event.isRecurrenceException()) {
+        exceptions.push(event);
+      } else {
+        masters.set(event.uid, event);
+      }
+    }
+
+    // Overrides of a series we have the master for are applied by the iterator;
+    // orphaned overrides (e.g. from a CalDAV time-range filter) stand alone
+    const standalone = [];
+    for (const exception of exceptions) {
+      const master = masters.get(exception.uid);
+      if (master && master.isRecurring()) {
+        master.relateException(exception);
+      } else {
+        standalone.push(exception);
+      }
+    }
+
+    const events = [];
+    const inWindow = date => date >= startDate && date <= endDate;
+
+    for (const event of [...masters.values(), ...standalone]) {
+      if (!event.isRecurring()) {
+        const start = event.startDate.toJSDate();
+        if (inWindow(start)) {
+          events.push(this.toGoogleEvent(event, event.startDate, event.endDate));
+        }
+        continue;
+      }
+
+      const iterator = event.iterator();
+      let next;
+      let guard = 0;
+      while ((next = iterator.next()) && guard++ < 10000) {
+        const occurrenceStart = next.toJSDate();
+        if (occurrenceStart > endDate) break;
+        if (occurrenceStart < startDate) continue;
+
+        const details = event.getOccurrenceDetails(next);
+        events.push(this.toGoogleEvent(details.item, details.startDate, details.endDate, event.uid));
+      }
+    }
+
+    return events;
+  }
+
+  toGoogleEvent(event, startTime, endTime, recurringEventId = null) {
+    const toGoogleTime = time => (time.isDate
+      ? { date: format(time.toJSDate(), 'yyyy-MM-dd') }
+      : { dateTime: time.toJSDate().toISOString() });
+
+    const organizerEmail = this.stripMailto(event.component.getFirstPropertyValue('organizer'));
+    const attendees = event.attendees.map(attendee => {
+      const email = this.stripMailto(attendee.getFirstValue());
+      return {
+        email,
+        displayName: attendee.getParameter('cn') || undefined,
+        responseStatus: PARTSTAT_TO_RESPONSE[(attendee.getParameter('partstat') || '').toUpperCase()] || 'needsAction',
+        organizer: email === organizerEmail,
+        self: this.selfEmails.includes(email),
+      };
+    });
+
+    return {
+      id: event.uid,
+      recurringEventId,
+      summary: event.summary,
+      description: event.description || '',
+      location: event.location || '',
+      status: (event.component.getFirstPropertyValue('status') || 'confirmed').toLowerCase(),
+      start: toGoogleTime(startTime),
+      end: toGoogleTime(endTime),
+      attendees: attendees.length > 0 ? attendees : undefined,
+      organizer: organizerEmail ? {
+        email: organizerEmail,
+        displayName: event.component.getFirstProperty('organizer').getParameter('cn') || undefined,
+        self: this.selfEmails.includes(organizerEmail),
+      } : undefined,
+    };
+  }
+
+  stripMailto(value) {
+    return (value || '').replace(/^mailto:/i, '').toLowerCase();
+  }
+}
+
+export default IcsCalendarIntegration;
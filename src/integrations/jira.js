@@ -1,23 +1,112 @@
 import JiraClient from 'node-jira-client';
-import { format, addDays } from 'date-fns';
+import { format, startOfDay, endOfDay, parseISO } from 'date-fns';
+import { adfToText } from '../utils/adf.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
 
 class JiraIntegration {
+  static id = 'jira';
+  static label = 'JIRA';
+  static kind = 'tickets';
+  static requiredEnv = ['JIRA_API_TOKEN'];
+  static sectionTitle = 'JIRA Activities';
+  static linkLabel = 'View Ticket';
+
+  static describeActivity(data) {
+    let jiraIcon = '🎫';
+    if (data.type === 'ticket_created') {
+      jiraIcon = '🆕';
+    } else if (data.type === 'ticket_updated') {
+      jiraIcon = '🔄';
+    } else if (data.type === 'comment_added') {
+      jiraIcon = '💬';
+    } else if (data.type === 'work_logged') {
+      return `⏱️ **Work Logged**: ${JiraIntegration.formatHours(data.timeSpentSeconds)} on "${data.summary}" in ${data.project}${JiraIntegration.formatContext(data)}`;
+    }
+
+    let description = `${jiraIcon} **${data.type.replace('_', ' ')}**: "${data.summary}" in ${data.project}`;
+
+    if (data.changes && data.changes.length > 0) {
+      const changeText = data.changes.map(c => `${c.field}: ${c.from} → ${c.to}`).join(', ');
+      description += ` (${changeText})`;
+    }
+
+    if (data.comment) {
+      description += `: "${JiraIntegration.excerpt(data.comment)}"`;
+    }
+
+    return description;
+  }
+
+  static summarizeActivity(data) {
+    if (data.type === 'work_logged') {
+      const comment = data.comment ? `: ${JiraIntegration.excerpt(data.comment)}` : '';
+      return `${data.ticketKey} logged ${JiraIntegration.formatHours(data.timeSpentSeconds)}: "${data.summary}" in ${data.project}${JiraIntegration.formatContext(data)}${comment}`;
+    }
+
+    let description = `${data.ticketKey} ${data.type.replace('_', ' ')}: "${data.summary}" in ${data.project}`;
+
+    if (data.changes && data.changes.length > 0) {
+      description += ` (${data.changes.map(c => `${c.field}: ${c.from} → ${c.to}`).join(', ')})`;
+    }
+
+    description += JiraIntegration.formatContext(data);
+
+    if (data.comment) {
+      description += `: "${JiraIntegration.excerpt(data.comment)}"`;
+    } else if (data.description) {
+      description += ` — ${JiraIntegration.excerpt(data.description)}`;
+    }
+
+    return description;
+  }
+
+  // Stored text keeps its Markdown line structure; one-line contexts flatten it
+  static excerpt(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  static formatHours(seconds) {
+    return `${Math.round(seconds / 3600 * 100) / 100}h`;
+  }
+
+  static formatContext(data) {
+    const context = [];
+    if (data.epic) context.push(`epic: ${data.epic.summary}`);
+    if (data.sprint) context.push(`sprint: ${data.sprint.name}`);
+    return context.length > 0 ? ` [${context.join(', ')}]` : '';
+  }
+
   constructor(config, storage) {
     this.config = config.integrations.jira;
     this.storage = storage;
+    this.api = new ApiClient(config, 'jira', 'JIRA');
     this.name = 'JIRA';
+    // Server / Data Center authenticates with a personal access token (Bearer)
+    // and has no accountIds; Cloud uses email + API token (Basic)
+    this.isServer = this.config.deployment === 'server';
+    this.baseUrl = `${this.config.protocol || 'https'}://${this.config.host}${this.config.contextPath || ''}`;
+    this.apiPath = this.isServer ? '/rest/api/2' : '/rest/api/3';
+    this.authorization = this.isServer
+      ? `Bearer ${this.config.apiToken}`
+      : `Basic ${Buffer.from(`${this.config.username}:${this.config.apiToken}`).toString('base64')}`;
     
     if (this.config.enabled) {
       this.client = new JiraClient({
         protocol: this.config.protocol || 'https',
         host: this.config.host,
-        username: this.config.username,
-        password: this.config.apiToken,
+        base: this.config.contextPath || '',
+        ...(this.isServer
+          ? { bearer: this.config.apiToken }
+          : { username: this.config.username, password: this.config.apiToken }),
         apiVersion: this.config.apiVersion || '2',
         strictSSL: this.config.strictSSL !== false,
         reportUserName: this.config.reportUserName || this.config.username
       });
     }
+
+    // Epic summaries by issue key, shared by every ticket in the epic
+    this.epics = new Map();
   }
 
   async sync(startDate, endDate) {
@@ -30,43 +119,52 @@ class JiraIntegration {
       console.log(`🎫 Syncing JIRA tickets for ${this.config.reportUserName}...`);
 
       // Jira Cloud no longer exposes author.name (GDPR); resolve our accountId once.
+      // Server / Data Center has no accountId and identifies users by name and key.
       // Also grab displayName — email strings don't resolve in JQL on this instance.
       if (this.accountId === undefined) {
         try {
-          const me = await this.client.getCurrentUser();
+          const me = await this.api.call(() => this.client.getCurrentUser());
           this.accountId = me.accountId || null;
+          this.userName = me.name || null;
+          this.userKey = me.key || null;
           this.displayName = me.displayName || null;
         } catch (error) {
-          console.warn('⚠️ Could not resolve JIRA accountId:', error.message);
+          console.warn('⚠️ Could not resolve JIRA user:', error.message);
           this.accountId = null;
+          this.userName = null;
+          this.userKey = null;
           this.displayName = null;
         }
       }
 
-      // Get current date and process day by day
-      let currentDate = new Date(startDate);
-      const end = new Date(endDate);
-      let totalActivities = 0;
-
-      while (currentDate <= end) {
-        const activities = await this.getActivitiesForDate(currentDate);
-        
-        if (activities.length > 0) {
-          await this.storage.saveRawData('jira', currentDate, activities);
-          console.log(`✅ ${activities.length} activities for ${format(currentDate, 'yyyy-MM-dd')}`);
-          totalActivities += activities.length;
-        }
-        
-        currentDate = new Date(currentDate);
-        currentDate.setDate(currentDate.getDate() + 1);
+      // One range query for the whole window; each ticket's changelog, comments
+      // and worklogs are then read once and bucketed into days
+      const windowStart = startOfDay(startDate);
+      const windowEnd = endOfDay(endDate);
+
+      const tickets = await this.searchTickets(this.buildRangeQuery(windowStart), { changelog: true });
+      console.log(`Found ${tickets.length} tickets touched since ${format(windowStart, 'yyyy-MM-dd')}`);
+
+      const activities = [];
+      for (const ticket of tickets) {
+        activities.push(...await this.getTicketActivities(ticket, windowStart, windowEnd));
       }
 
-      console.log(`📊 Total JIRA activities found: ${totalActivities}`);
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(activities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('jira', dateStr, dayActivities);
+        console.log(`✅ ${dayActivities.length} activities for ${dateStr}`);
+      }
+
+      console.log(`📊 Total JIRA activities found: ${activities.length}`);
       
       // Update sync state
       await this.storage.setSyncState('jira', {
         lastSyncDate: endDate.toISOString(),
-        totalActivities
+        tickets: tickets.length,
+        totalActivities: activities.length
       });
 
       console.log('✅ JIRA sync completed successfully!');
@@ -76,205 +174,370 @@ class JiraIntegration {
     }
   }
 
-  async getActivitiesForDate(date) {
+  // Tickets you reported, are assigned, commented on or logged work on. There's
+  // no upper bound on `updated`: a ticket touched in the window may have been
+  // updated again since, and events are filtered by their own timestamps.
+  buildRangeQuery(windowStart) {
+    const involvement = [
+      'reporter = currentUser()',
+      'assignee = currentUser()',
+      `comment ~ "${this.displayName || this.config.reportUserName}"`,
+    ];
+    if (this.config.trackWorklogs !== false) {
+      involvement.push('worklogAuthor = currentUser()');
+    }
+
+    return `(${involvement.join(' OR ')}) AND updated >= "${format(windowStart, 'yyyy-MM-dd')}"`;
+  }
+
+  async getTicketActivities(ticket, windowStart, windowEnd) {
     const activities = [];
-    const dateStr = format(date, 'yyyy-MM-dd');
-    
+    const inWindow = timestamp => {
+      const date = parseISO(timestamp);
+      return date >= windowStart && date <= windowEnd;
+    };
+
     try {
-      // Get tickets created by user on this date
-      const createdTickets = await this.searchTickets(
-        `reporter = currentUser() AND created >= "${dateStr}" AND created < "${format(addDays(new Date(date), 1), 'yyyy-MM-dd')}"`
-      );
-      for (const ticket of createdTickets) {
+      const details = await this.ticketDetails(ticket);
+
+      // Tickets created by user
+      if (this.isReportUser(ticket.fields.reporter) && inWindow(ticket.fields.created)) {
         activities.push({
           timestamp: ticket.fields.created,
           type: 'ticket_created',
-          ticketKey: ticket.key,
-          summary: ticket.fields.summary,
-          status: ticket.fields.status.name,
-          priority: ticket.fields.priority?.name || 'None',
-          assignee: ticket.fields.assignee?.displayName || 'Unassigned',
-          reporter: ticket.fields.reporter.displayName,
-          project: ticket.fields.project.name,
-          issueType: ticket.fields.issuetype.name,
-          url: `${this.config.protocol}://${this.config.host}/browse/${ticket.key}`,
-          description: ticket.fields.description ? ticket.fields.description.substring(0, 200) : ''
+          ...details,
+          description: adfToText(ticket.fields.description).substring(0, 200)
         });
       }
-      console.log(`Found ${createdTickets.length} tickets created on ${dateStr}`);
 
-      // Get tickets assigned to user and updated on this date
-      const updatedTickets = await this.searchTickets(
-        `assignee = currentUser() AND updated >= "${dateStr}" AND updated < "${format(addDays(new Date(date), 1), 'yyyy-MM-dd')}"`
-      );
+      // Change history of tickets assigned to user
+      if (this.isReportUser(ticket.fields.assignee)) {
+        const changelog = (await this.getTicketChangelog(ticket)).filter(history => inWindow(history.created));
 
-      for (const ticket of updatedTickets) {
-        // Get the change history for this ticket
-        const changelog = await this.getTicketChangelog(ticket.key, date);
-        
-        if (changelog.length > 0) {
-          for (const change of changelog) {
-            activities.push({
-              timestamp: change.created,
-              type: 'ticket_updated',
-              ticketKey: ticket.key,
-              summary: ticket.fields.summary,
-              status: ticket.fields.status.name,
-              priority: ticket.fields.priority?.name || 'None',
-              assignee: ticket.fields.assignee?.displayName || 'Unassigned',
-              reporter: ticket.fields.reporter.displayName,
-              project: ticket.fields.project.name,
-              issueType: ticket.fields.issuetype.name,
-              url: `${this.config.protocol}://${this.config.host}/browse/${ticket.key}`,
-              changes: change.items.map(item => ({
-                field: item.field,
-                from: item.fromString,
-                to: item.toString
-              }))
-            });
-          }
+        for (const change of changelog) {
+          activities.push({
+            timestamp: change.created,
+            type: 'ticket_updated',
+            ...details,
+            changes: change.items.map(item => ({
+              field: item.field,
+              from: item.fromString,
+              to: item.toString
+            }))
+          });
         }
       }
-      console.log(`Found ${updatedTickets.length} tickets updated on ${dateStr}`);
 
-      // Get tickets where user was mentioned or commented
-      const commentedTickets = await this.searchTickets(
-        `(comment ~ "${this.displayName || this.config.reportUserName}" OR assignee = currentUser() OR reporter = currentUser()) AND updated >= "${dateStr}" AND updated < "${format(addDays(new Date(date), 1), 'yyyy-MM-dd')}"`
-      );
-      
-      for (const ticket of commentedTickets) {
-        const comments = await this.getTicketComments(ticket.key, date);
-        
-        for (const comment of comments) {
-          if (this.isCommentByReportUser(comment)) {
-            activities.push({
-              timestamp: comment.created,
-              type: 'comment_added',
-              ticketKey: ticket.key,
-              summary: ticket.fields.summary,
-              status: ticket.fields.status.name,
-              priority: ticket.fields.priority?.name || 'None',
-              assignee: ticket.fields.assignee?.displayName || 'Unassigned',
-              reporter: ticket.fields.reporter.displayName,
-              project: ticket.fields.project.name,
-              issueType: ticket.fields.issuetype.name,
-              url: `${this.config.protocol}://${this.config.host}/browse/${ticket.key}`,
-              comment: comment.body ? comment.body.substring(0, 200) : ''
-            });
-          }
-        }
+      // Comments by user
+      const comments = (await this.getTicketComments(ticket))
+        .filter(comment => this.isReportUser(comment.author) && inWindow(comment.created));
+
+      for (const comment of comments) {
+        activities.push({
+          timestamp: comment.created,
+          type: 'comment_added',
+          ...details,
+          comment: adfToText(comment.body).substring(0, 200)
+        });
       }
 
+      if (this.config.trackWorklogs !== false) {
+        const worklogs = (await this.getTicketWorklogs(ticket, windowStart))
+          .filter(worklog => this.isReportUser(worklog.author) && inWindow(worklog.started));
+        activities.push(...this.summarizeWorklogs(worklogs, details));
+      }
     } catch (error) {
-      console.error(`Error getting JIRA activities for ${dateStr}:`, error.message);
+      console.error(`Error getting JIRA activities for ${ticket.key}:`, error.message);
     }
 
-    // Sort activities by timestamp
-    activities.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
     return activities;
   }
 
-  isCommentByReportUser(comment) {
-    const author = comment.author || {};
+  // Work you logged, one activity per ticket per day
+  summarizeWorklogs(worklogs, details) {
+    const byDay = new Map();
+
+    for (const worklog of worklogs) {
+      const day = format(parseISO(worklog.started), 'yyyy-MM-dd');
+      byDay.set(day, [...(byDay.get(day) || []), worklog]);
+    }
+
+    return [...byDay.values()].map(dayWorklogs => {
+      dayWorklogs.sort((a, b) => parseISO(a.started) - parseISO(b.started));
+      const comments = dayWorklogs
+        .map(worklog => adfToText(worklog.comment))
+        .filter(Boolean);
+
+      return {
+        timestamp: parseISO(dayWorklogs[0].started).toISOString(),
+        type: 'work_logged',
+        ...details,
+        timeSpentSeconds: dayWorklogs.reduce((total, worklog) => total + (worklog.timeSpentSeconds || 0), 0),
+        worklogCount: dayWorklogs.length,
+        comment: comments.join(' / ').substring(0, 200),
+      };
+    });
+  }
+
+  // Fields shared by every activity about a ticket, including the sprint it's in
+  // and the epic it rolls up to
+  async ticketDetails(ticket) {
+    return {
+      ticketKey: ticket.key,
+      summary: ticket.fields.summary,
+      status: ticket.fields.status.name,
+      priority: ticket.fields.priority?.name || 'None',
+      assignee: ticket.fields.assignee?.displayName || 'Unassigned',
+      reporter: ticket.fields.reporter?.displayName || 'Unknown',
+      project: ticket.fields.project.name,
+      issueType: ticket.fields.issuetype.name,
+      url: `${this.baseUrl}/browse/${ticket.key}`,
+      parentKey: ticket.fields.parent?.key || null,
+      epic: await this.resolveEpic(ticket),
+      sprint: this.parseSprint(ticket.fields[this.config.sprintField || 'customfield_10020']),
+    };
+  }
+
+  // Cloud returns sprint objects; Server/Data Center returns strings like
+  // "com.atlassian.greenhopper.service.sprint.Sprint@1f[id=12,state=ACTIVE,name=Sprint 5,...]"
+  parseSprint(value) {
+    const sprints = [].concat(value || []).map(sprint => (typeof sprint === 'string'
+      ? Object.fromEntries([...sprint.matchAll(/(\w+)=([^,\]]*)/g)].map(([, key, val]) => [key, val]))
+      : sprint));
+
+    // A ticket carried over keeps its closed sprints; prefer the active one
+    const sprint = sprints.find(candidate => (candidate.state || '').toLowerCase() === 'active') || sprints[sprints.length - 1];
+    return sprint ? { id: Number(sprint.id), name: sprint.name, state: (sprint.state || '').toLowerCase() } : null;
+  }
+
+  isEpic(issueType) {
+    return issueType?.hierarchyLevel === 1 || issueType?.name === 'Epic';
+  }
+
+  // The parent field (team-managed projects, and company-managed ones since the
+  // Epic Link field was retired) or the Epic Link field; sub-tasks inherit the
+  // epic of their parent
+  async resolveEpic(ticket) {
+    const { parent } = ticket.fields;
+    if (parent && this.isEpic(parent.fields?.issuetype)) {
+      return { key: parent.key, summary: parent.fields.summary };
+    }
+
+    const epicKey = ticket.fields[this.config.epicLinkField || 'customfield_10014'];
+    if (typeof epicKey === 'string' && epicKey) {
+      return this.getEpic(epicKey);
+    }
+
+    return parent ? this.getEpic(parent.key) : null;
+  }
+
+  // Epic for an issue key: the issue itself when it is an epic, else its own epic
+  async getEpic(key) {
+    if (this.epics.has(key)) {
+      return this.epics.get(key);
+    }
+    // Guard against parent cycles while the lookup is in flight
+    this.epics.set(key, null);
+
+    try {
+      const epicLinkField = this.config.epicLinkField || 'customfield_10014';
+      const issue = await this.api.call(() => this.client.findIssue(key, '', `summary,issuetype,parent,${epicLinkField}`));
+      const epic = this.isEpic(issue.fields.issuetype)
+        ? { key: issue.key, summary: issue.fields.summary }
+        : await this.resolveEpic(issue);
+
+      this.epics.set(key, epic);
+      return epic;
+    } catch (error) {
+      console.error(`Error resolving epic for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  isReportUser(author) {
+    author = author || {};
     if (this.accountId && author.accountId) {
       return author.accountId === this.accountId;
     }
+    if (this.userKey && author.key) {
+      return author.key === this.userKey;
+    }
+    if (this.userName && author.name) {
+      return author.name === this.userName;
+    }
     const reportUser = (this.config.reportUserName || '').toLowerCase();
+    if (!reportUser) {
+      return false;
+    }
     return (author.emailAddress || '').toLowerCase() === reportUser ||
-      author.name === this.config.reportUserName;
+      (author.name || '').toLowerCase() === reportUser;
+  }
+
+  async searchTickets(jql, { changelog = false } = {}) {
+    try {
+      return this.isServer ? await this.searchServer(jql, changelog) : await this.searchCloud(jql, changelog);
+    } catch (error) {
+      console.error('Error searching JIRA tickets:', error.message);
+      return [];
+    }
+  }
+
+  getSearchFields() {
+    return [
+      'summary',
+      'status',
+      'priority',
+      'assignee',
+      'reporter',
+      'created',
+      'updated',
+      'project',
+      'issuetype',
+      'description',
+      'parent',
+      'comment',
+      'worklog',
+      this.config.sprintField || 'customfield_10020',
+      this.config.epicLinkField || 'customfield_10014'
+    ];
+  }
+
+  async request(endpoint, { method = 'GET', body } = {}) {
+    const response = await this.api.fetch(`${this.baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': this.authorization,
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} - ${await response.text()}`);
+    }
+
+    return response.json();
   }
 
-  async searchTickets(jql) {
+  // startAt/total pagination, used by every paged endpoint except Cloud search
+  async paginate(endpoint, key, pageSize = 100) {
+    const items = [];
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let startAt = 0;
+
+    while (true) {
+      const data = await this.request(`${endpoint}${separator}startAt=${startAt}&maxResults=${pageSize}`);
+      const page = data[key] || [];
+      items.push(...page);
+      startAt += page.length;
+
+      if (page.length === 0 || data.isLast || startAt >= (data.total ?? 0)) break;
+    }
+
+    return items;
+  }
+
+  async searchCloud(jql, changelog) {
     // Atlassian removed /rest/api/2/search (CHANGE-2046); node-jira-client still
     // calls it, so hit the replacement /rest/api/3/search/jql directly.
-    try {
-      const issues = [];
-      const auth = Buffer.from(`${this.config.username}:${this.config.apiToken}`).toString('base64');
-      let nextPageToken;
-
-      do {
-        const response = await fetch(`${this.config.protocol}://${this.config.host}/rest/api/3/search/jql`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            jql,
-            fields: [
-              'summary',
-              'status',
-              'priority',
-              'assignee',
-              'reporter',
-              'created',
-              'updated',
-              'project',
-              'issuetype',
-              'description'
-            ],
-            maxResults: 100,
-            ...(nextPageToken ? { nextPageToken } : {}),
-          }),
-        });
+    const issues = [];
+    let nextPageToken;
 
-        if (!response.ok) {
-          throw new Error(`${response.status} - ${await response.text()}`);
-        }
+    do {
+      const data = await this.request('/rest/api/3/search/jql', {
+        method: 'POST',
+        body: {
+          jql,
+          fields: this.getSearchFields(),
+          ...(changelog ? { expand: 'changelog' } : {}),
+          maxResults: 100,
+          ...(nextPageToken ? { nextPageToken } : {}),
+        },
+      });
+      issues.push(...(data.issues || []));
+      nextPageToken = data.isLast ? undefined : data.nextPageToken;
+    } while (nextPageToken);
 
-        const data = await response.json();
-        issues.push(...(data.issues || []));
-        nextPageToken = data.isLast ? undefined : data.nextPageToken;
-      } while (nextPageToken);
+    return issues;
+  }
 
-      return issues;
-    } catch (error) {
-      console.error('Error searching JIRA tickets:', error.message);
-      return [];
+  // Server / Data Center still serves /rest/api/2/search, paged by startAt
+  async searchServer(jql, changelog) {
+    const issues = [];
+    let startAt = 0;
+
+    while (true) {
+      const data = await this.request('/rest/api/2/search', {
+        method: 'POST',
+        body: {
+          jql,
+          fields: this.getSearchFields(),
+          ...(changelog ? { expand: ['changelog'] } : {}),
+          startAt,
+          maxResults: 100,
+        },
+      });
+      const page = data.issues || [];
+      issues.push(...page);
+      startAt += page.length;
+
+      if (page.length === 0 || startAt >= (data.total || 0)) break;
     }
+
+    return issues;
   }
 
-  async getTicketChangelog(ticketKey, date) {
+  // Search results embed the first page of the changelog, comments and worklogs;
+  // only tickets with more than that cost extra requests
+  async getTicketChangelog(ticket) {
+    const embedded = ticket.changelog;
+    if (embedded && embedded.histories.length >= (embedded.total ?? 0)) {
+      return embedded.histories;
+    }
+
     try {
-      const dateStr = format(date, 'yyyy-MM-dd');
-      const nextDateStr = format(addDays(new Date(date), 1), 'yyyy-MM-dd');
-      
-      const ticket = await this.client.findIssue(ticketKey, {
-        expand: ['changelog']
-      });
-      
-      if (!ticket.changelog || !ticket.changelog.histories) {
-        return [];
+      if (this.isServer) {
+        // Server has no paged changelog endpoint but returns it whole here
+        const issue = await this.request(`/rest/api/2/issue/${ticket.key}?fields=summary&expand=changelog`);
+        return issue.changelog?.histories || [];
       }
-      
-      return ticket.changelog.histories.filter(history => {
-        const historyDate = format(new Date(history.created), 'yyyy-MM-dd');
-        return historyDate === dateStr;
-      });
+      return await this.paginate(`/rest/api/3/issue/${ticket.key}/changelog`, 'values');
     } catch (error) {
-      console.error(`Error getting changelog for ${ticketKey}:`, error.message);
-      return [];
+      console.error(`Error getting changelog for ${ticket.key}:`, error.message);
+      return embedded?.histories || [];
     }
   }
 
-  async getTicketComments(ticketKey, date) {
+  async getTicketComments(ticket) {
+    const embedded = ticket.fields.comment;
+    if (embedded && embedded.comments.length >= (embedded.total ?? 0)) {
+      return embedded.comments;
+    }
+
     try {
-      const dateStr = format(date, 'yyyy-MM-dd');
-      
-      const comments = await this.client.getComments(ticketKey);
-      
-      if (!comments.comments) {
-        return [];
-      }
-      
-      return comments.comments.filter(comment => {
-        const commentDate = format(new Date(comment.created), 'yyyy-MM-dd');
-        return commentDate === dateStr;
-      });
+      return await this.paginate(`${this.apiPath}/issue/${ticket.key}/comment`, 'comments');
     } catch (error) {
-      console.error(`Error getting comments for ${ticketKey}:`, error.message);
-      return [];
+      console.error(`Error getting comments for ${ticket.key}:`, error.message);
+      return embedded?.comments || [];
+    }
+  }
+
+  async getTicketWorklogs(ticket, windowStart) {
+    const embedded = ticket.fields.worklog;
+    if (embedded && embedded.worklogs.length >= (embedded.total ?? 0)) {
+      return embedded.worklogs;
+    }
+
+    try {
+      return await this.paginate(
+        `${this.apiPath}/issue/${ticket.key}/worklog?startedAfter=${windowStart.getTime()}`,
+        'worklogs',
+        1000,
+      );
+    } catch (error) {
+      console.error(`Error getting worklogs for ${ticket.key}:`, error.message);
+      return embedded?.worklogs || [];
     }
   }
 }
@@ -0,0 +1,368 @@
+import JiraIntegration from './jira.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const HISTORY_FIELDS = `
+  createdAt
+  actor { id }
+  fromState { name }
+  toState { name }
+  fromAssignee { name }
+  toAssignee { name }
+`;
+
+const ISSUE_FIELDS = `
+  id
+  identifier
+  title
+  description
+  url
+  createdAt
+  priorityLabel
+  state { name }
+  assignee { name displayName }
+  creator { name displayName }
+  team { key name }
+`;
+
+// Records the same ticket_created / ticket_updated / comment_added activities as
+// JiraIntegration so Linear and JIRA teams get identical journals.
+class LinearIntegration {
+  static id = 'linear';
+  static label = 'Linear';
+  static kind = 'tickets';
+  static requiredEnv = ['LINEAR_API_KEY'];
+  static sectionTitle = 'Linear Activities';
+  static linkLabel = 'View Issue';
+
+  static describeActivity(data) {
+    return JiraIntegration.describeActivity(data);
+  }
+
+  static summarizeActivity(data) {
+    return JiraIntegration.summarizeActivity(data);
+  }
+
+  constructor(config, storage) {
+    this.config = config.integrations.linear;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'linear', 'Linear');
+    this.name = 'Linear';
+    this.apiUrl = this.config.apiUrl || 'https://api.linear.app/graphql';
+    this.apiKey = this.config.apiKey || process.env.LINEAR_API_KEY;
+    this.viewer = null;
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      console.log('📐 Syncing Linear issues...');
+
+      if (!this.viewer) {
+        const data = await this.query('query { viewer { id name displayName } }');
+        this.viewer = data.viewer;
+      }
+
+      const activities = [];
+
+      if (this.config.trackCreated) {
+        activities.push(...await this.getIssuesCreated(startDate, endDate));
+      }
+
+      if (this.config.trackUpdated) {
+        activities.push(...await this.getIssueUpdates(startDate, endDate));
+      }
+
+      if (this.config.trackCommented) {
+        activities.push(...await this.getComments(startDate, endDate));
+      }
+
+      const filteredActivities = this.filterTeams(activities);
+      filteredActivities.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(filteredActivities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('linear', dateStr, dayActivities);
+        console.log(`✅ ${dayActivities.length} activities for ${dateStr}`);
+      }
+
+      console.log(`📊 Total Linear activities found: ${filteredActivities.length}`);
+
+      // Update sync state
+      await this.storage.setSyncState('linear', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: filteredActivities.length,
+        user: this.viewer.name,
+      });
+
+      return filteredActivities;
+    } catch (error) {
+      console.error('Linear sync error:', error.message);
+      throw error;
+    }
+  }
+
+  async query(query, variables = {}) {
+    const response = await this.api.fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} - ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    if (body.errors && body.errors.length > 0) {
+      throw new Error(body.errors.map(e => e.message).join('; '));
+    }
+
+    return body.data;
+  }
+
+  // Follow a connection's pageInfo cursor until exhausted; `field` is the root connection name
+  async paginate(query, variables, field) {
+    const nodes = [];
+    let after = null;
+
+    do {
+      const data = await this.query(query, { ...variables, after });
+      const connection = data[field];
+      nodes.push(...connection.nodes);
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    return nodes;
+  }
+
+  async getIssuesCreated(startDate, endDate) {
+    try {
+      const issues = await this.paginate(`
+        query($from: DateTimeOrDuration!, $to: DateTimeOrDuration!, $after: String) {
+          issues(
+            first: 100,
+            after: $after,
+            filter: { creator: { isMe: { eq: true } }, createdAt: { gte: $from, lte: $to } }
+          ) {
+            nodes { ${ISSUE_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `, { from: startDate.toISOString(), to: endDate.toISOString() }, 'issues');
+
+      console.log(`Found ${issues.length} Linear issues created`);
+
+      return issues.map(issue => ({
+        timestamp: issue.createdAt,
+        type: 'ticket_created',
+        ...this.issueDetails(issue),
+        description: issue.description ? issue.description.substring(0, 200) : '',
+      }));
+    } catch (error) {
+      console.error('Error fetching created Linear issues:', error.message);
+      return [];
+    }
+  }
+
+  async getIssueUpdates(startDate, endDate) {
+    try {
+      // History entries can only be reached through their issue and can't be
+      // filtered by actor, so look at issues updated in the window that the user
+      // is assigned to, created or subscribes to (Linear subscribes you to
+      // teammates' issues you work on), within the configured teams
+      const filter = {
+        updatedAt: { gte: startDate.toISOString(), lte: endDate.toISOString() },
+        or: [
+          { assignee: { isMe: { eq: true } } },
+          { creator: { isMe: { eq: true } } },
+          { subscribers: { some: { isMe: { eq: true } } } },
+        ],
+        ...this.teamFilter(),
+      };
+
+      const issues = await this.paginate(`
+        query($filter: IssueFilter!, $after: String) {
+          issues(first: 50, after: $after, filter: $filter) {
+            nodes {
+              ${ISSUE_FIELDS}
+              history(first: 50) {
+                nodes { ${HISTORY_FIELDS} }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `, { filter }, 'issues');
+
+      const activities = [];
+
+      for (const issue of issues) {
+        for (const entry of await this.getIssueHistory(issue, startDate)) {
+          const created = new Date(entry.createdAt);
+          if (created < startDate || created > endDate) continue;
+          if (entry.actor?.id !== this.viewer.id) continue;
+
+          const changes = [];
+          if (entry.toState) {
+            changes.push({ field: 'status', from: entry.fromState?.name || null, to: entry.toState.name });
+          }
+          if (entry.toAssignee || entry.fromAssignee) {
+            changes.push({
+              field: 'assignee',
+              from: entry.fromAssignee?.name || 'Unassigned',
+              to: entry.toAssignee?.name || 'Unassigned',
+            });
+          }
+          if (changes.length === 0) continue;
+
+          activities.push({
+            timestamp: entry.createdAt,
+            type: 'ticket_updated',
+            ...this.issueDetails(issue),
+            changes,
+          });
+        }
+      }
+
+      console.log(`Found ${activities.length} Linear issue updates`);
+      return activities;
+    } catch (error) {
+      console.error('Error fetching Linear issue history:', error.message);
+      return [];
+    }
+  }
+
+  // The first page of history comes with the issue; fetch the rest by cursor.
+  // Pages come newest first, so stop once a page reaches back past startDate.
+  async getIssueHistory(issue, startDate) {
+    const entries = [...issue.history.nodes];
+    let { pageInfo } = issue.history;
+    const reachedStart = () => entries.length > 0 && new Date(entries[entries.length - 1].createdAt) < startDate;
+
+    while (pageInfo.hasNextPage && !reachedStart()) {
+      const data = await this.query(`
+        query($id: String!, $after: String) {
+          issue(id: $id) {
+            history(first: 100, after: $after) {
+              nodes { ${HISTORY_FIELDS} }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `, { id: issue.id, after: pageInfo.endCursor });
+
+      entries.push(...data.issue.history.nodes);
+      pageInfo = data.issue.history.pageInfo;
+    }
+
+    return entries;
+  }
+
+  async getComments(startDate, endDate) {
+    try {
+      const comments = await this.paginate(`
+        query($from: DateTimeOrDuration!, $to: DateTimeOrDuration!, $after: String) {
+          comments(
+            first: 100,
+            after: $after,
+            filter: { user: { isMe: { eq: true } }, createdAt: { gte: $from, lte: $to } }
+          ) {
+            nodes {
+              body
+              createdAt
+              url
+              issue { ${ISSUE_FIELDS} }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `, { from: startDate.toISOString(), to: endDate.toISOString() }, 'comments');
+
+      console.log(`Found ${comments.length} Linear comments`);
+
+      return comments
+        .filter(comment => comment.issue)
+        .map(comment => ({
+          timestamp: comment.createdAt,
+          type: 'comment_added',
+          ...this.issueDetails(comment.issue),
+          url: comment.url || comment.issue.url,
+          comment: comment.body ? comment.body.substring(0, 200) : '',
+        }));
+    } catch (error) {
+      console.error('Error fetching Linear comments:', error.message);
+      return [];
+    }
+  }
+
+  // Fields shared by every activity, named like JiraIntegration's records
+  issueDetails(issue) {
+    return {
+      ticketKey: issue.identifier,
+      summary: issue.title,
+      status: issue.state?.name || 'Unknown',
+      priority: issue.priorityLabel || 'None',
+      assignee: issue.assignee?.displayName || issue.assignee?.name || 'Unassigned',
+      reporter: issue.creator?.displayName || issue.creator?.name || 'Unknown',
+      project: issue.team?.name || 'Unknown',
+      teamKey: issue.team?.key || null,
+      issueType: 'Issue',
+      url: issue.url,
+    };
+  }
+
+  // includeTeams / excludeTeams as an IssueFilter, matching team keys or names
+  teamFilter() {
+    const conditions = (this.config.excludeTeams || []).map(team => ({
+      team: {
+        key: { neqIgnoreCase: team },
+        name: { neqIgnoreCase: team },
+      },
+    }));
+
+    if (this.config.includeTeams && this.config.includeTeams.length > 0) {
+      conditions.push({
+        team: {
+          or: this.config.includeTeams.flatMap(team => [
+            { key: { eqIgnoreCase: team } },
+            { name: { eqIgnoreCase: team } },
+          ]),
+        },
+      });
+    }
+
+    return conditions.length > 0 ? { and: conditions } : {};
+  }
+
+  filterTeams(activities) {
+    const includeTeams = (this.config.includeTeams || []).map(t => t.toLowerCase());
+    const excludeTeams = (this.config.excludeTeams || []).map(t => t.toLowerCase());
+
+    return activities.filter(activity => {
+      const names = [activity.project, activity.teamKey]
+        .filter(Boolean)
+        .map(name => name.toLowerCase());
+
+      // If includeTeams is specified, only include those teams (by key or name)
+      if (includeTeams.length > 0 && !names.some(name => includeTeams.includes(name))) {
+        return false;
+      }
+
+      // Skip excluded teams
+      if (names.some(name => excludeTeams.includes(name))) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+}
+
+export default LinearIntegration;
@@ -0,0 +1,266 @@
+import chalk from 'chalk';
+import { validateOutlookTokenBeforeRun } from '../utils/token-validator.js';
+import { getMicrosoftAuthConfig, getMicrosoftAccessToken } from '../utils/microsoft-auth.js';
+import { categorizeEvent, extractMeetingLink, matchesCalendarFilters, isExcludedEventTitle, processAttendees } from '../utils/calendar.js';
+import GCalIntegration from './gcal.js';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+
+// Microsoft 365 / Outlook calendars via Microsoft Graph. Produces the same
+// calendar_event records as GCalIntegration.
+class OutlookCalendarIntegration {
+  static id = 'outlook';
+  static label = 'Microsoft 365 Calendar';
+  static kind = 'calendar';
+  static requiredEnv = ['MS_CLIENT_ID'];
+  static sectionTitle = 'Outlook Calendar Events';
+
+  static describeActivity(data) {
+    return GCalIntegration.describeActivity(data);
+  }
+
+  static summarizeActivity(data) {
+    return GCalIntegration.summarizeActivity(data);
+  }
+
+  static async validateCredentials() {
+    console.log(chalk.blue('🔍 Validating Microsoft 365 token...'));
+    return validateOutlookTokenBeforeRun();
+  }
+
+  constructor(config, storage) {
+    this.name = 'Microsoft 365 Calendar';
+    this.config = config.integrations.outlook;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'outlook', 'Microsoft 365 Calendar');
+    this.auth = getMicrosoftAuthConfig(this.config);
+    this.userEmail = null;
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      const activities = [];
+
+      if (this.config.trackAttendees && !this.userEmail) {
+        this.userEmail = await this.getUserEmail();
+      }
+
+      // Get calendar list
+      const calendars = await this.getCalendars();
+      const filteredCalendars = this.filterCalendars(calendars);
+
+      // Get events from each calendar
+      for (const calendar of filteredCalendars) {
+        const events = await this.getCalendarEvents(calendar, startDate, endDate);
+        activities.push(...events);
+      }
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(activities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('outlook', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('outlook', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: activities.length,
+      });
+
+      return activities;
+    } catch (error) {
+      console.error('Microsoft 365 calendar sync error:', error.message);
+      throw error;
+    }
+  }
+
+  // Your own address, to tell you apart from the other attendees
+  async getUserEmail() {
+    try {
+      const accessToken = await getMicrosoftAccessToken(this.auth);
+      const response = await this.api.fetch(`${GRAPH_URL}/me?$select=mail,userPrincipalName`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+
+      if (!response.ok) {
+        throw new Error(`${response.status} - ${await response.text()}`);
+      }
+
+      const user = await response.json();
+      return (user.mail || user.userPrincipalName || '').toLowerCase() || null;
+    } catch (error) {
+      console.error('Error fetching Microsoft 365 user:', error.message);
+      return null;
+    }
+  }
+
+  // GET a Graph collection, following @odata.nextLink until exhausted
+  async graphList(url) {
+    const accessToken = await getMicrosoftAccessToken(this.auth);
+    const items = [];
+    let next = url.startsWith('http') ? url : `${GRAPH_URL}${url}`;
+
+    while (next) {
+      const response = await this.api.fetch(next, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          // Return start/end in UTC so they can be parsed without a timezone table
+          'Prefer': 'outlook.timezone="UTC"',
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`${response.status} - ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      items.push(...(data.value || []));
+      next = data['@odata.nextLink'];
+    }
+
+    return items;
+  }
+
+  async getCalendars() {
+    try {
+      return await this.graphList('/me/calendars?$select=id,name');
+    } catch (error) {
+      console.error('Error fetching Outlook calendar list:', error.message);
+      return [];
+    }
+  }
+
+  filterCalendars(calendars) {
+    return calendars.filter(calendar => matchesCalendarFilters(this.config, calendar.name, calendar.id));
+  }
+
+  async getCalendarEvents(calendar, startDate, endDate) {
+    try {
+      const params = new URLSearchParams({
+        startDateTime: startDate.toISOString(),
+        endDateTime: endDate.toISOString(),
+        $top: '100',
+        $select: [
+          'subject', 'bodyPreview', 'start', 'end', 'location', 'attendees', 'organizer',
+          'isOrganizer', 'isAllDay', 'isCancelled', 'responseStatus', 'onlineMeeting',
+          'onlineMeetingUrl', 'webLink',
+        ].join(','),
+      });
+
+      const events = await this.graphList(`/me/calendars/${encodeURIComponent(calendar.id)}/calendarView?${params}`);
+
+      return events
+        .filter(event => this.shouldIncludeEvent(event))
+        .map(event => this.processEvent(event, calendar));
+    } catch (error) {
+      console.error(`Error fetching events from ${calendar.name}:`, error.message);
+      return [];
+    }
+  }
+
+  shouldIncludeEvent(event) {
+    // Skip all-day and cancelled events
+    if (event.isAllDay || event.isCancelled) {
+      return false;
+    }
+
+    if (isExcludedEventTitle(this.config, event.subject)) {
+      return false;
+    }
+
+    // Skip short events
+    if (this.getDurationMinutes(event) < this.config.minDuration) {
+      return false;
+    }
+
+    const response = event.responseStatus?.response;
+
+    // Skip declined events
+    if (this.config.skipDeclined !== false && response === 'declined') {
+      return false;
+    }
+
+    // Skip tentatively accepted events if configured
+    if (this.config.skipTentative && response === 'tentativelyAccepted') {
+      return false;
+    }
+
+    return true;
+  }
+
+  parseGraphDate(value) {
+    // Graph returns e.g. "2024-01-15T09:00:00.0000000" in the zone named by the Prefer header
+    return new Date(value.dateTime.endsWith('Z') ? value.dateTime : `${value.dateTime}Z`);
+  }
+
+  getDurationMinutes(event) {
+    return (this.parseGraphDate(event.end) - this.parseGraphDate(event.start)) / (1000 * 60);
+  }
+
+  processEvent(event, calendar) {
+    const start = this.parseGraphDate(event.start);
+    const end = this.parseGraphDate(event.end);
+    const attendees = event.attendees || [];
+    // Graph leaves the organizer out of attendees; count them like Google does
+    const attendeeCount = attendees.length > 0 ? attendees.length + 1 : 0;
+    const location = event.location?.displayName || '';
+
+    const processed = {
+      type: 'calendar_event',
+      calendar: calendar.name,
+      calendarId: calendar.id,
+      title: event.subject || 'Untitled Event',
+      description: event.bodyPreview || '',
+      start: start.toISOString(),
+      end: end.toISOString(),
+      timestamp: start.toISOString(),
+      duration: this.getDurationMinutes(event),
+      location,
+      eventType: categorizeEvent({ title: event.subject, description: event.bodyPreview, attendeeCount }),
+      attendeeCount: 0,
+      isOrganizer: false,
+      meetingLink: event.onlineMeeting?.joinUrl || event.onlineMeetingUrl ||
+        extractMeetingLink(`${event.bodyPreview || ''} ${location}`),
+      responseStatus: event.responseStatus?.response || null,
+    };
+
+    // Process attendees if tracking is enabled
+    if (this.config.trackAttendees) {
+      processed.attendeeCount = attendeeCount;
+      processed.isOrganizer = Boolean(event.isOrganizer);
+
+      const organizerAddress = event.organizer?.emailAddress;
+      const isSelf = address => Boolean(address) && address.toLowerCase() === this.userEmail;
+      const organizer = organizerAddress && {
+        email: organizerAddress.address,
+        name: organizerAddress.name,
+        self: Boolean(event.isOrganizer) || isSelf(organizerAddress.address),
+      };
+
+      const people = attendees
+        .filter(attendee => attendee.type !== 'resource')
+        .map(attendee => ({
+          email: attendee.emailAddress?.address,
+          name: attendee.emailAddress?.name,
+          responseStatus: attendee.status?.response,
+          organizer: false,
+          self: isSelf(attendee.emailAddress?.address),
+        }));
+
+      // Graph leaves the organizer out of attendees
+      if (organizer && people.length > 0) {
+        people.push({ ...organizer, responseStatus: 'organizer', organizer: true });
+      }
+
+      Object.assign(processed, processAttendees(this.config, people, organizer));
+    }
+
+    return processed;
+  }
+}
+
+export default OutlookCalendarIntegration;
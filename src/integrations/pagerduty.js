@@ -0,0 +1,276 @@
+import { startOfDay, addDays } from 'date-fns';
+import { ApiClient } from '../utils/api-client.js';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const LOG_ENTRY_TYPES = {
+  acknowledge_log_entry: { type: 'incident_acknowledged', flag: 'trackAcknowledged' },
+  resolve_log_entry: { type: 'incident_resolved', flag: 'trackResolved' },
+};
+
+// PagerDuty incidents you acknowledged, resolved or annotated, plus your
+// on-call shifts, so on-call weeks show up in journals.
+class PagerDutyIntegration {
+  static id = 'pagerduty';
+  static label = 'PagerDuty';
+  static kind = 'incidents';
+  static requiredEnv = ['PAGERDUTY_API_KEY'];
+  static sectionTitle = 'On-Call & Incidents';
+  static linkLabel = 'View Incident';
+
+  static describeActivity(data) {
+    if (data.type === 'oncall_shift') {
+      const hours = Math.round(data.duration / 60 * 100) / 100;
+      return `📟 **On Call**: ${data.schedule} (${hours}h, level ${data.escalationLevel})`;
+    } else if (data.type === 'incident_acknowledged') {
+      return `🚨 **Incident Acknowledged**: #${data.incidentNumber} "${data.title}" on ${data.service} (${data.urgency})`;
+    } else if (data.type === 'incident_resolved') {
+      return `✅ **Incident Resolved**: #${data.incidentNumber} "${data.title}" on ${data.service}`;
+    } else if (data.type === 'incident_note') {
+      return `📝 **Incident Note**: #${data.incidentNumber} "${data.title}" — ${data.note}`;
+    }
+    return `🚨 **${data.type}**: "${data.title}"`;
+  }
+
+  static summarizeActivity(data) {
+    if (data.type === 'oncall_shift') {
+      const hours = Math.round(data.duration / 60 * 100) / 100;
+      return `On call for ${data.schedule} (${hours}h)`;
+    } else if (data.type === 'incident_acknowledged') {
+      return `Acknowledged ${data.urgency}-urgency incident #${data.incidentNumber}: "${data.title}" on ${data.service}`;
+    } else if (data.type === 'incident_resolved') {
+      return `Resolved incident #${data.incidentNumber}: "${data.title}" on ${data.service}`;
+    } else if (data.type === 'incident_note') {
+      return `Added note to incident #${data.incidentNumber} "${data.title}": ${data.note}`;
+    }
+    return `${data.type}: "${data.title}"`;
+  }
+
+  constructor(config, storage) {
+    this.name = 'PagerDuty';
+    this.config = config.integrations.pagerduty;
+    this.storage = storage;
+    this.api = new ApiClient(config, 'pagerduty', 'PagerDuty');
+    this.apiKey = this.config.apiKey || process.env.PAGERDUTY_API_KEY;
+    this.baseUrl = (this.config.baseUrl || 'https://api.pagerduty.com').replace(/\/$/, '');
+    this.userId = this.config.userId || null;
+  }
+
+  async sync(startDate, endDate) {
+    try {
+      if (!this.userId) {
+        // /users/me only works with a user token; account keys need config.userId
+        const { user } = await this.request('/users/me');
+        this.userId = user.id;
+      }
+
+      const activities = [];
+
+      if (this.config.trackAcknowledged || this.config.trackResolved || this.config.trackNotes) {
+        activities.push(...await this.getIncidentActivities(startDate, endDate));
+      }
+
+      if (this.config.trackOnCall) {
+        activities.push(...await this.getOnCallShifts(startDate, endDate));
+      }
+
+      const filteredActivities = this.filterServices(activities);
+
+      // Group activities by date and save
+      const activitiesByDate = groupActivitiesByDate(filteredActivities);
+
+      for (const [dateStr, dayActivities] of Object.entries(activitiesByDate)) {
+        await this.storage.saveRawData('pagerduty', dateStr, dayActivities);
+      }
+
+      // Update sync state
+      await this.storage.setSyncState('pagerduty', {
+        lastSyncStart: startDate.toISOString(),
+        lastSyncEnd: endDate.toISOString(),
+        totalActivities: filteredActivities.length,
+      });
+
+      return filteredActivities;
+    } catch (error) {
+      console.error('PagerDuty sync error:', error.message);
+      throw error;
+    }
+  }
+
+  async request(endpoint, params = {}) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+      for (const item of [].concat(value)) {
+        url.searchParams.append(key, item);
+      }
+    }
+
+    const response = await this.api.fetch(url, {
+      headers: {
+        'Authorization': `Token token=${this.apiKey}`,
+        'Accept': 'application/vnd.pagerduty+json;version=2',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`PagerDuty API error: ${response.status} - ${await response.text()}`);
+    }
+
+    return response.json();
+  }
+
+  // Classic offset pagination: keep going while the API reports `more`
+  async paginate(endpoint, key, params = {}) {
+    const items = [];
+    let offset = 0;
+
+    while (true) {
+      const data = await this.request(endpoint, { ...params, limit: 100, offset });
+      items.push(...(data[key] || []));
+
+      if (!data.more) break;
+      offset += data.limit || 100;
+    }
+
+    return items;
+  }
+
+  incidentDetails(incident) {
+    return {
+      incidentId: incident.id,
+      incidentNumber: incident.incident_number,
+      title: incident.title || incident.summary,
+      service: incident.service?.summary || 'Unknown service',
+      urgency: incident.urgency || 'high',
+      status: incident.status,
+      url: incident.html_url,
+    };
+  }
+
+  async getIncidentActivities(startDate, endDate) {
+    try {
+      const entries = await this.paginate(`/users/${this.userId}/log_entries`, 'log_entries', {
+        since: startDate.toISOString(),
+        until: endDate.toISOString(),
+        'include[]': 'incidents',
+      });
+
+      const activities = [];
+      const touchedIncidents = new Map();
+
+      for (const entry of entries) {
+        if (entry.agent?.id !== this.userId || !entry.incident) continue;
+        touchedIncidents.set(entry.incident.id, entry.incident);
+
+        const mapping = LOG_ENTRY_TYPES[entry.type];
+        if (!mapping || !this.config[mapping.flag]) continue;
+
+        activities.push({
+          type: mapping.type,
+          ...this.incidentDetails(entry.incident),
+          timestamp: entry.created_at,
+        });
+      }
+
+      if (this.config.trackNotes) {
+        for (const incident of touchedIncidents.values()) {
+          activities.push(...await this.getNotes(incident, startDate, endDate));
+        }
+      }
+
+      return activities;
+    } catch (error) {
+      console.error('Error fetching PagerDuty incidents:', error.message);
+      return [];
+    }
+  }
+
+  async getNotes(incident, startDate, endDate) {
+    try {
+      const { notes } = await this.request(`/incidents/${incident.id}/notes`);
+
+      return (notes || [])
+        .filter(note => note.user?.id === this.userId)
+        .filter(note => new Date(note.created_at) >= startDate && new Date(note.created_at) <= endDate)
+        .map(note => ({
+          type: 'incident_note',
+          ...this.incidentDetails(incident),
+          note: (note.content || '').substring(0, 200),
+          timestamp: note.created_at,
+        }));
+    } catch (error) {
+      console.error(`Error fetching notes for incident ${incident.id}:`, error.message);
+      return [];
+    }
+  }
+
+  // On-call shifts clipped to the window and split at midnight, so each day's
+  // journal gets that day's share of on-call time
+  async getOnCallShifts(startDate, endDate) {
+    try {
+      const oncalls = await this.paginate('/oncalls', 'oncalls', {
+        'user_ids[]': this.userId,
+        since: startDate.toISOString(),
+        until: endDate.toISOString(),
+      });
+
+      const activities = [];
+      const seen = new Set();
+
+      for (const oncall of oncalls) {
+        // Permanent on-call (no schedule) has no start/end and isn't a shift
+        if (!oncall.start || !oncall.end) continue;
+
+        // The same shift is listed once per escalation policy that uses the schedule
+        const schedule = oncall.schedule?.summary || oncall.escalation_policy?.summary || 'On-call';
+        const key = `${oncall.schedule?.id || oncall.escalation_policy?.id}:${oncall.start}:${oncall.end}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const shiftStart = new Date(Math.max(new Date(oncall.start), startDate));
+        const shiftEnd = new Date(Math.min(new Date(oncall.end), endDate));
+
+        let pieceStart = shiftStart;
+        while (pieceStart < shiftEnd) {
+          const pieceEnd = new Date(Math.min(addDays(startOfDay(pieceStart), 1), shiftEnd));
+
+          activities.push({
+            type: 'oncall_shift',
+            schedule,
+            escalationPolicy: oncall.escalation_policy?.summary || null,
+            escalationLevel: oncall.escalation_level,
+            start: pieceStart.toISOString(),
+            end: pieceEnd.toISOString(),
+            duration: (pieceEnd - pieceStart) / (1000 * 60),
+            url: oncall.schedule?.html_url || null,
+            timestamp: pieceStart.toISOString(),
+          });
+
+          pieceStart = pieceEnd;
+        }
+      }
+
+      return activities;
+    } catch (error) {
+      console.error('Error fetching PagerDuty on-call shifts:', error.message);
+      return [];
+    }
+  }
+
+  filterServices(activities) {
+    return activities.filter(activity => {
+      if (!activity.service) return true;
+      const service = activity.service.toLowerCase();
+
+      // If includeServices is specified, only include those services
+      if (this.config.includeServices && this.config.includeServices.length > 0 &&
+          !this.config.includeServices.some(included => included.toLowerCase() === service)) {
+        return false;
+      }
+
+      // Skip excluded services
+      return !(this.config.excludeServices || []).some(excluded => excluded.toLowerCase() === service);
+    });
+  }
+}
+
+export default PagerDutyIntegration;
@@ -0,0 +1,211 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import SlackSearchIntegration from './slack-search.js';
+import GitHubIntegration from './github.js';
+import GitLabIntegration from './gitlab.js';
+import LocalGitIntegration from './git-local.js';
+import GCalIntegration from './gcal.js';
+import OutlookCalendarIntegration from './outlook.js';
+import IcsCalendarIntegration from './ics.js';
+import JiraIntegration from './jira.js';
+import LinearIntegration from './linear.js';
+import ConfluenceIntegration from './confluence.js';
+import GDriveIntegration from './gdrive.js';
+import PagerDutyIntegration from './pagerduty.js';
+
+// Every integration belongs to one kind. The kind decides how its activities
+// are counted in metrics, rendered in the by-tool journal layout and bucketed
+// by the fallback categorizer, so a new source of an existing kind (another
+// forge, another calendar) is treated like its siblings without extra code.
+export const ACTIVITY_KINDS = {
+  calendar: { category: 'Meetings' },
+  code: { category: 'Development' },
+  tickets: { category: 'Ticket Work' },
+  docs: { category: 'Documentation' },
+  // Shift activities carry `duration` (on-call time), incident ones `incidentId`
+  incidents: { category: 'Incident Response' },
+  chat: { category: 'Communication' },
+  other: { category: 'Other' },
+};
+
+const integrations = new Map();
+let pluginsLoaded = false;
+
+/**
+ * Register an integration class. The class declares its metadata as static
+ * members:
+ *   id                   - storage key and --integration value (e.g. 'github')
+ *   label                - human readable name
+ *   kind                 - one of ACTIVITY_KINDS
+ *   configKey            - key under config.integrations (defaults to id)
+ *   requiredEnv          - env vars that must be set for the integration to work
+ *   sectionTitle         - heading used in journals, metrics and AI prompts
+ *   linkLabel            - text for the per-activity link in journals
+ *   defaultConfig        - optional defaults merged under config.integrations[configKey]
+ *   describeActivity()   - markdown one-liner for an activity, used in journals
+ *   summarizeActivity()  - plain text one-liner, used in AI prompts
+ *   validateCredentials()- optional pre-sync check, resolves to false to abort
+ *   isMessage()          - optional, chat kind: false for activities that aren't messages
+ *   formatChannel()      - optional, chat kind: display name of an activity's channel
+ * and an instance method sync(startDate, endDate). Integrations that call an
+ * API keep a utils/api-client.js ApiClient as this.api, whose request counts
+ * are reported after each sync.
+ */
+export function registerIntegration(Integration) {
+  if (!Integration || !Integration.id) {
+    throw new Error('Integration must declare a static id');
+  }
+  if (typeof Integration.prototype?.sync !== 'function') {
+    throw new Error(`Integration "${Integration.id}" must implement sync(startDate, endDate)`);
+  }
+  if (Integration.kind && !ACTIVITY_KINDS[Integration.kind]) {
+    throw new Error(`Integration "${Integration.id}" has unknown kind "${Integration.kind}"`);
+  }
+  if (integrations.has(Integration.id) && integrations.get(Integration.id) !== Integration) {
+    throw new Error(`Integration "${Integration.id}" is already registered`);
+  }
+
+  integrations.set(Integration.id, Integration);
+  return Integration;
+}
+
+export function getIntegration(id) {
+  return integrations.get(id) || null;
+}
+
+export function listIntegrations() {
+  return [...integrations.values()];
+}
+
+export function getConfigKey(Integration) {
+  return Integration.configKey || Integration.id;
+}
+
+export function getKind(Integration) {
+  return Integration?.kind || 'other';
+}
+
+export function getSectionTitle(Integration) {
+  return Integration.sectionTitle || `${Integration.label || Integration.id} Activities`;
+}
+
+export function isEnabled(config, Integration) {
+  return Boolean(config.integrations?.[getConfigKey(Integration)]?.enabled);
+}
+
+// Import every .js/.mjs module in the plugins directory; each must default-export
+// an integration class. A broken plugin is reported and skipped rather than
+// taking the whole sync down.
+export async function loadPlugins(dir) {
+  if (!dir || !(await fs.pathExists(dir))) {
+    return [];
+  }
+
+  const loaded = [];
+  const files = (await fs.readdir(dir))
+    .filter(file => file.endsWith('.js') || file.endsWith('.mjs'))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.resolve(dir, file);
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      loaded.push(registerIntegration(module.default));
+    } catch (error) {
+      console.error(`❌ Failed to load integration plugin ${file}:`, error.message);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Load external plugins (once) and merge each integration's declared
+ * defaultConfig under the user's config so plugins work without entries in
+ * config/default.js. Returns all registered integration classes.
+ */
+export async function loadIntegrations(config) {
+  if (!pluginsLoaded) {
+    pluginsLoaded = true;
+    if (config.plugins?.enabled !== false) {
+      await loadPlugins(config.plugins?.dir);
+    }
+  }
+
+  config.integrations = config.integrations || {};
+  for (const Integration of listIntegrations()) {
+    if (Integration.defaultConfig) {
+      const key = getConfigKey(Integration);
+      config.integrations[key] = {
+        ...Integration.defaultConfig,
+        ...config.integrations[key],
+      };
+    }
+  }
+
+  return listIntegrations();
+}
+
+/**
+ * Resolve which integrations to run: every enabled one, or just `only` when
+ * given. Throws for an unknown id so typos don't silently sync nothing.
+ */
+export function selectIntegrations(config, only = null) {
+  if (only && !integrations.has(only)) {
+    throw new Error(`Unknown integration "${only}". Available: ${[...integrations.keys()].join(', ')}`);
+  }
+
+  return listIntegrations().filter(Integration =>
+    (!only || Integration.id === only) && isEnabled(config, Integration)
+  );
+}
+
+// Run each integration's credential check; false if any of them fails
+export async function validateCredentials(selected) {
+  for (const Integration of selected) {
+    if (typeof Integration.validateCredentials === 'function') {
+      const valid = await Integration.validateCredentials();
+      if (!valid) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+export function describeActivity(activity) {
+  const Integration = getIntegration(activity.source);
+  if (Integration?.describeActivity) {
+    return Integration.describeActivity(activity.data);
+  }
+  return `${activity.source} activity`;
+}
+
+export function summarizeActivity(activity) {
+  const Integration = getIntegration(activity.source);
+  if (Integration?.summarizeActivity) {
+    return Integration.summarizeActivity(activity.data);
+  }
+  return `${activity.source} activity`;
+}
+
+export function getActivityKind(activity) {
+  return getKind(getIntegration(activity.source));
+}
+
+[
+  SlackSearchIntegration,
+  GitHubIntegration,
+  GitLabIntegration,
+  LocalGitIntegration,
+  GCalIntegration,
+  OutlookCalendarIntegration,
+  IcsCalendarIntegration,
+  JiraIntegration,
+  LinearIntegration,
+  ConfluenceIntegration,
+  GDriveIntegration,
+  PagerDutyIntegration,
+].forEach(registerIntegration);
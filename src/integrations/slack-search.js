@@ -1,23 +1,91 @@
 import { WebClient } from '@slack/web-api';
-import { format, startOfDay, endOfDay } from 'date-fns';
+import { ApiClient } from '../utils/api-client.js';
+import { format, startOfDay, addDays } from 'date-fns';
+import { groupActivitiesByDate } from '../utils/activities.js';
+
+const DIRECTORY_CACHE = 'slack-directory';
+// Names rarely change; cached users and conversations are looked up again after this long
+const DIRECTORY_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const USER_MENTION = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g;
+const CHANNEL_MENTION = /<#([CG][A-Z0-9]+)(?:\|([^>]*))?>/g;
+
+// Activity types that aren't messages; generateSlackSummary counts them separately
+const NON_MESSAGE_TYPES = ['reaction_added', 'file_shared', 'canvas_created', 'huddle'];
 
 class SlackSearchIntegration {
+  static id = 'slack';
+  static label = 'Slack';
+  static kind = 'chat';
+  static requiredEnv = ['SLACK_USER_TOKEN'];
+  static sectionTitle = 'Slack Messages';
+
+  static describeActivity(data) {
+    if (data.type === 'reaction_added') {
+      return `${data.emoji.map(name => `:${name}:`).join(' ')} **Reacted**${SlackSearchIntegration.formatWhere(data)} to: "${data.text.substring(0, 100)}..."`;
+    } else if (data.type === 'file_shared') {
+      return `📎 **File Shared**${SlackSearchIntegration.formatWhere(data)}: "${data.title}" (${data.fileType})`;
+    } else if (data.type === 'canvas_created') {
+      return `🗒️ **Canvas Created**${SlackSearchIntegration.formatWhere(data)}: "${data.title}"`;
+    } else if (data.type === 'huddle') {
+      return `🎧 **Huddle**${SlackSearchIntegration.formatWhere(data)} (${data.duration} min, ${data.participantCount} participants)`;
+    }
+    return `💬 **${data.type}**${SlackSearchIntegration.formatWhere(data)}: "${data.text.substring(0, 100)}..."`;
+  }
+
+  static summarizeActivity(data) {
+    if (data.type === 'reaction_added') {
+      return `Reacted with ${data.emoji.join(', ')}${SlackSearchIntegration.formatWhere(data)} to: "${data.text.substring(0, 100)}..."`;
+    } else if (data.type === 'file_shared') {
+      return `Shared ${data.fileType} file "${data.title}"${SlackSearchIntegration.formatWhere(data)}`;
+    } else if (data.type === 'canvas_created') {
+      return `Created canvas "${data.title}"${SlackSearchIntegration.formatWhere(data)}`;
+    } else if (data.type === 'huddle') {
+      return `Joined a ${data.duration}-minute huddle${SlackSearchIntegration.formatWhere(data)} with ${data.participantCount} participants`;
+    }
+    return `${data.type}${SlackSearchIntegration.formatWhere(data)}: "${data.text.substring(0, 100)}..." (Intent: ${data.intent.join(', ')})`;
+  }
+
+  // Channels get a #; DMs are already named "DM with ..."
+  static formatChannel(data) {
+    const channelType = data.channelType || data.type;
+    const isDM = channelType === 'direct_message' || channelType === 'group_message';
+    return isDM ? data.channel : `#${data.channel}`;
+  }
+
+  // Files can be uploaded without being shared anywhere
+  static formatWhere(data) {
+    return data.channel ? ` in ${SlackSearchIntegration.formatChannel(data)}` : '';
+  }
+
+  static isMessage(data) {
+    return !NON_MESSAGE_TYPES.includes(data.type);
+  }
+
   constructor(config, storage) {
     this.name = 'Slack';
     this.config = config.integrations.slack;
     this.storage = storage;
-    this.client = new WebClient(process.env.SLACK_USER_TOKEN);
+    // Rate limits and retries are handled by this.api, so the WebClient rejects
+    // rate-limited calls instead of waiting them out itself
+    this.client = new WebClient(process.env.SLACK_USER_TOKEN, {
+      retryConfig: { retries: 0 },
+      rejectRateLimitedCalls: true,
+    });
+    this.api = new ApiClient(config, 'slack', 'Slack');
     this.userId = config.integrations.slack.userId || null;
     this.username = config.integrations.slack.username || null;
+    this.directory = null;
+    this.threads = new Map();
   }
 
   async sync(startDate, endDate) {
     try {
-      console.log('🔍 Using Slack search.messages API with day-by-day search');
+      console.log('🔍 Using Slack search.messages API with date-range search');
 
       // Get authenticated user info first
       if (!this.userId) {
-        const authResult = await this.client.auth.test();
+        const authResult = await this.api.call(() => this.client.auth.test());
         this.userId = authResult.user_id;
         this.username = authResult.user;
         console.log(`👤 Authenticated as user: ${this.userId} (@${this.username})`);
@@ -25,46 +93,52 @@ class SlackSearchIntegration {
 
       let allActivities = [];
       const allActivitiesByDate = {};
-      
-      // Search day by day to ensure we get all messages
-      const currentDate = new Date(startDate);
-      while (currentDate <= endDate) {
-        const nextDate = new Date(currentDate);
-        nextDate.setDate(nextDate.getDate() + 1);
-        
-        const dayStart = new Date(currentDate);
-        const dayEnd = new Date(nextDate);
-        
-        console.log(`🔎 Searching messages for ${format(currentDate, 'yyyy-MM-dd')}`);
-        
-        // Search for user's messages in this specific day
-        const messages = await this.searchUserMessages(dayStart, dayEnd);
-        console.log(`📨 Found ${messages.length} messages for ${format(currentDate, 'yyyy-MM-dd')}`);
+      const lastDay = addDays(startOfDay(endDate), 1);
+
+      // One search per batch of days, split back into days afterwards
+      const batchDays = this.config.searchBatchDays || 7;
+      for (let batchStart = startOfDay(startDate); batchStart < lastDay; batchStart = addDays(batchStart, batchDays)) {
+        const batchEnd = new Date(Math.min(addDays(batchStart, batchDays), lastDay));
 
-        // Process messages for this day
-        const dayActivities = [];
+        const messages = await this.searchUserMessages(batchStart, batchEnd);
+        console.log(`📨 Found ${messages.length} messages for ${format(batchStart, 'yyyy-MM-dd')} to ${format(addDays(batchEnd, -1), 'yyyy-MM-dd')}`);
+
+        const messagesByDate = {};
         for (const msg of messages) {
-          const processedMessage = this.processSearchMessage(msg);
-          if (processedMessage && this.shouldIncludeMessage(processedMessage)) {
-            dayActivities.push(processedMessage);
-          }
+          const dateStr = format(new Date(parseFloat(msg.ts) * 1000), 'yyyy-MM-dd');
+          (messagesByDate[dateStr] = messagesByDate[dateStr] || []).push(msg);
         }
 
-        if (dayActivities.length > 0) {
-          const dateStr = format(currentDate, 'yyyy-MM-dd');
-          allActivitiesByDate[dateStr] = dayActivities;
-          allActivities.push(...dayActivities);
-          console.log(`✅ ${dayActivities.length} activities for ${dateStr}`);
+        for (const [dateStr, dayMessages] of Object.entries(messagesByDate)) {
+          const dayActivities = await this.processDay(dateStr, dayMessages);
+
+          if (dayActivities.length > 0) {
+            allActivitiesByDate[dateStr] = dayActivities;
+            allActivities.push(...dayActivities);
+            console.log(`✅ ${dayActivities.length} activities for ${dateStr}`);
+          }
         }
+      }
 
-        currentDate.setDate(currentDate.getDate() + 1);
-        
-        // Add a small delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, this.config.rateLimitDelay || 1200));
+      // Reactions and files are listed for the whole range at once
+      const otherActivities = [];
+      if (this.config.trackReactions) {
+        otherActivities.push(...await this.getReactions(startDate, endDate));
+      }
+      if (this.config.trackFiles) {
+        otherActivities.push(...await this.getFiles(startDate, endDate));
+      }
+
+      const includedActivities = otherActivities.filter(activity => this.shouldIncludeChannel(activity));
+      for (const [dateStr, dayActivities] of Object.entries(groupActivitiesByDate(includedActivities))) {
+        allActivitiesByDate[dateStr] = [...(allActivitiesByDate[dateStr] || []), ...dayActivities];
+        allActivities.push(...dayActivities);
       }
 
       console.log(`📊 Total activities found: ${allActivities.length}`);
 
+      await this.saveDirectory();
+
       // Save activities by date
       for (const [dateStr, dayActivities] of Object.entries(allActivitiesByDate)) {
         await this.storage.saveRawData('slack', dateStr, dayActivities);
@@ -78,7 +152,7 @@ class SlackSearchIntegration {
         totalActivities: allActivities.length,
         userId: this.userId,
         username: this.username,
-        method: 'search_api_daily',
+        method: 'search_api_range',
       });
 
       console.log(`✅ Slack search sync completed successfully!`);
@@ -90,57 +164,76 @@ class SlackSearchIntegration {
     }
   }
 
+  async processDay(dateStr, messages) {
+    const dayActivities = [];
+    for (const msg of messages) {
+      const processedMessage = await this.processSearchMessage(msg);
+      if (processedMessage && this.shouldIncludeMessage(processedMessage)) {
+        dayActivities.push(processedMessage);
+      }
+    }
+
+    if (this.config.trackThreadContext) {
+      for (const activity of dayActivities) {
+        await this.addThreadContext(activity);
+      }
+    }
+
+    // Huddles can only be found in the history of conversations we posted in
+    if (this.config.trackHuddles) {
+      const dayStart = startOfDay(new Date(parseFloat(messages[0].ts) * 1000));
+      const channels = [...new Map(messages.map(msg => [msg.channel.id, msg.channel])).values()];
+      const huddles = await this.getHuddles(channels, dayStart, addDays(dayStart, 1));
+      dayActivities.push(...huddles.filter(huddle => this.shouldIncludeChannel(huddle)));
+    }
+
+    return dayActivities;
+  }
+
+  // Messages from [startDate, endDate), whole days. Rate limits are handled by
+  // this.api, which waits out Slack's Retry-After before retrying.
   async searchUserMessages(startDate, endDate) {
     try {
-      // For single day search, use 'on:' which works better
-      const dateStr = format(startDate, 'yyyy-MM-dd');
-      const query = `from:@${this.username} on:${dateStr}`;
+      // after: and before: are both exclusive
+      const query = `from:@${this.username} after:${format(addDays(startDate, -1), 'yyyy-MM-dd')} before:${format(endDate, 'yyyy-MM-dd')}`;
       console.log(`🔎 Search query: "${query}"`);
 
       // Search API has max limit of 100 per page
       const count = Math.min(this.config.maxMessages || 100, 100);
       
-      let allMessages = [];
-      let page = 1;
-      const maxPages = 5; // Limit to prevent excessive API calls
+      const allMessages = [];
+      let total = 0;
+      let cursor = '*';
       
-      // Paginate through search results
-      while (page <= maxPages) {
-        const result = await this.client.search.messages({
+      // Cursor pagination has no page cap; keep going until Slack stops returning a cursor
+      do {
+        const result = await this.api.call(() => this.client.search.messages({
           query: query,
           sort: 'timestamp',
           sort_dir: 'desc',
           count: count,
-          page: page
-        });
-        
-        if (!result.messages.matches || result.messages.matches.length === 0) {
-          break;
-        }
-        
-        allMessages.push(...result.messages.matches);
-        
-        // Log pagination info
-        if (page === 1) {
-          console.log(`📊 Search results: ${result.messages.total} total matches`);
-        }
-        console.log(`📄 Page ${page}: ${result.messages.matches.length} messages`);
-        
-        // Break if we got fewer results than requested (last page)
-        if (result.messages.matches.length < count) {
-          break;
+          cursor,
+        }));
+
+        const matches = result.messages?.matches || [];
+        if (cursor === '*') {
+          total = result.messages?.total || 0;
+          console.log(`📊 Search results: ${total} total matches`);
         }
-        
-        page++;
-        
-        // Add delay between pages to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 1200));
-      }
+
+        allMessages.push(...matches);
+        cursor = matches.length > 0
+          ? (result.response_metadata?.next_cursor || result.messages?.pagination?.next_cursor)
+          : null;
+      } while (cursor);
 
       console.log(`📨 Total messages collected: ${allMessages.length}`);
+      if (allMessages.length < total) {
+        console.warn(`⚠️ Slack reported ${total} matches for "${query}" but returned ${allMessages.length} — some messages are missing; try a smaller searchBatchDays`);
+      }
       
       // Now get thread replies for messages that have them
-      const messagesWithThreads = await this.getThreadReplies(allMessages, dateStr);
+      const messagesWithThreads = await this.getThreadReplies(allMessages, startDate, endDate);
       
       console.log(`🧵 Total messages including threads: ${messagesWithThreads.length}`);
 
@@ -154,25 +247,29 @@ class SlackSearchIntegration {
     }
   }
 
-  processSearchMessage(msg) {
+  async processSearchMessage(msg) {
     try {
       const timestamp = new Date(parseFloat(msg.ts) * 1000).toISOString();
       
       // Determine channel info and type
-      const channelInfo = this.getChannelInfo(msg.channel);
+      const channelInfo = await this.describeConversation(msg.channel);
+      const { text, mentions } = await this.resolveMentions(msg.text || '');
       
       return {
         type: channelInfo.type,
         channel: channelInfo.name,
         channelId: msg.channel.id,
+        dmWith: channelInfo.dmWith || [],
+        mentions,
         timestamp: timestamp,
-        text: msg.text || '',
+        ts: msg.ts,
+        text,
         user: msg.user,
         isUserMessage: true, // Search only returns user's messages
         threadTs: msg.thread_ts,
         permalink: msg.permalink,
-        reactions: [], // Search API doesn't include reactions
-        intent: this.extractIntent(msg.text || '', channelInfo.name),
+        reactions: msg.reactions || [], // Reactions others left; search results usually omit them
+        intent: this.extractIntent(text, channelInfo.name),
         searchScore: msg.score || 0,
       };
     } catch (error) {
@@ -201,27 +298,303 @@ class SlackSearchIntegration {
       return false;
     }
 
+    return this.shouldIncludeChannel(message);
+  }
+
+  // Channel filters shared by messages, reactions, files and huddles. A channel
+  // can be named by its display name ("DM with Alex"), its id, or for DMs the
+  // people in it, so configs written against any of them keep matching.
+  shouldIncludeChannel(activity) {
+    const names = [activity.channel, activity.channelId, ...(activity.dmWith || [])].filter(Boolean);
+
     // Skip excluded channels
-    if (this.config.excludeChannels.includes(message.channel)) {
+    if (this.config.excludeChannels.some(excluded => names.includes(excluded))) {
       return false;
     }
 
     // Skip channels matching excluded patterns
     if (this.config.excludeChannelPatterns.some(pattern => {
-      const regex = new RegExp(pattern.replace('*', '.*'), 'i');
-      return regex.test(message.channel);
+      const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
+      return names.some(name => regex.test(name));
     })) {
       return false;
     }
 
     // Skip DMs if not tracking them
-    if (!this.config.trackDMs && message.type === 'direct_message') {
+    if (!this.config.trackDMs && (activity.channelType || activity.type) === 'direct_message') {
       return false;
     }
 
     return true;
   }
 
+  async loadDirectory() {
+    if (!this.directory) {
+      const cached = await this.storage.getCache(DIRECTORY_CACHE);
+      this.directory = { users: {}, conversations: {}, ...cached };
+    }
+    return this.directory;
+  }
+
+  async saveDirectory() {
+    if (this.directory) {
+      await this.storage.saveCache(DIRECTORY_CACHE, this.directory);
+    }
+  }
+
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - new Date(entry.updatedAt).getTime() < DIRECTORY_TTL;
+  }
+
+  // conversations.info through the directory: reactions, files and mentions
+  // only carry channel IDs
+  async getConversation(channelId) {
+    const directory = await this.loadDirectory();
+
+    if (!this.isFresh(directory.conversations[channelId])) {
+      try {
+        const { channel } = await this.api.call(() => this.client.conversations.info({ channel: channelId }));
+        directory.conversations[channelId] = {
+          id: channel.id,
+          name: channel.name,
+          user: channel.user,
+          is_im: channel.is_im,
+          is_mpim: channel.is_mpim,
+          is_private: channel.is_private,
+          is_channel: channel.is_channel,
+          members: channel.is_mpim ? await this.getMembers(channelId) : undefined,
+          updatedAt: new Date().toISOString(),
+        };
+      } catch (error) {
+        console.error(`❌ Error fetching conversation ${channelId}: ${error.message}`);
+        return directory.conversations[channelId] || { id: channelId };
+      }
+    }
+
+    return directory.conversations[channelId];
+  }
+
+  async getMembers(channelId) {
+    try {
+      const { members } = await this.api.call(() => this.client.conversations.members({ channel: channelId }));
+      return members;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async getUserName(userId) {
+    const directory = await this.loadDirectory();
+
+    if (!this.isFresh(directory.users[userId])) {
+      try {
+        const { user } = await this.api.call(() => this.client.users.info({ user: userId }));
+        directory.users[userId] = {
+          name: user.profile?.display_name || user.real_name || user.name || userId,
+          updatedAt: new Date().toISOString(),
+        };
+      } catch (error) {
+        return directory.users[userId]?.name || userId;
+      }
+    }
+
+    return directory.users[userId].name;
+  }
+
+  // Channel type and a readable name; DMs are named after the people in them
+  async describeConversation(channel) {
+    const channelInfo = this.getChannelInfo(channel);
+
+    if (channelInfo.type === 'direct_message') {
+      const userId = channel.user || (await this.getConversation(channel.id)).user;
+      if (userId) {
+        const name = await this.getUserName(userId);
+        return { ...channelInfo, name: `DM with ${name}`, dmWith: [name] };
+      }
+    } else if (channelInfo.type === 'group_message') {
+      const members = [];
+      for (const userId of (await this.getConversation(channel.id)).members || []) {
+        if (userId !== this.userId) {
+          members.push(await this.getUserName(userId));
+        }
+      }
+      if (members.length > 0) {
+        return { ...channelInfo, name: `Group DM with ${members.join(', ')}`, dmWith: members };
+      }
+    }
+
+    return channelInfo;
+  }
+
+  async channelDetails(channelId) {
+    const channelInfo = await this.describeConversation(await this.getConversation(channelId));
+    return { channel: channelInfo.name, channelId, channelType: channelInfo.type, dmWith: channelInfo.dmWith || [] };
+  }
+
+  // Turn <@U123>, <#C123|name> and <!here> tokens into readable text, and
+  // return the names of the people mentioned
+  async resolveMentions(text) {
+    const userNames = {};
+    for (const [, userId] of text.matchAll(USER_MENTION)) {
+      userNames[userId] = userNames[userId] || await this.getUserName(userId);
+    }
+
+    const channelNames = {};
+    for (const [, channelId, label] of text.matchAll(CHANNEL_MENTION)) {
+      channelNames[channelId] = label || (await this.getConversation(channelId)).name || channelId;
+    }
+
+    return {
+      text: text
+        .replace(USER_MENTION, (match, userId) => `@${userNames[userId]}`)
+        .replace(CHANNEL_MENTION, (match, channelId) => `#${channelNames[channelId]}`)
+        .replace(/<!subteam\^[A-Z0-9]+\|([^>]+)>/g, '$1')
+        .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1'),
+      mentions: Object.entries(userNames)
+        .filter(([userId]) => userId !== this.userId)
+        .map(([, name]) => name),
+    };
+  }
+
+  // reactions.list has no reaction time, only the reacted-to message's, so
+  // reactions are dated by the message. Items come most recently reacted
+  // first; stop once a whole page is older than the window.
+  async getReactions(startDate, endDate) {
+    try {
+      const activities = [];
+      let cursor;
+
+      do {
+        const result = await this.api.call(() => this.client.reactions.list({ user: this.userId, full: true, limit: 100, cursor }));
+        const messages = (result.items || []).filter(item => item.type === 'message' && item.message);
+
+        for (const item of messages) {
+          // reactions.list has no reaction time, so a reaction is filed under the
+          // day of the message it was added to, not the day it was added
+          const messageDate = new Date(parseFloat(item.message.ts) * 1000);
+          if (messageDate < startDate || messageDate > endDate) continue;
+
+          const emoji = (item.message.reactions || [])
+            .filter(reaction => (reaction.users || []).includes(this.userId))
+            .map(reaction => reaction.name);
+          if (emoji.length === 0) continue;
+
+          activities.push({
+            type: 'reaction_added',
+            ...await this.channelDetails(item.channel),
+            emoji,
+            text: (await this.resolveMentions(item.message.text || '')).text,
+            messageUser: item.message.user,
+            permalink: item.message.permalink,
+            timestamp: messageDate.toISOString(),
+          });
+        }
+
+        if (messages.length > 0 && messages.every(item => parseFloat(item.message.ts) * 1000 < startDate.getTime())) {
+          break;
+        }
+
+        cursor = result.response_metadata?.next_cursor;
+      } while (cursor);
+
+      console.log(`👍 Found ${activities.length} reactions`);
+      return activities;
+    } catch (error) {
+      console.error('❌ Error fetching reactions:', error.message);
+      return [];
+    }
+  }
+
+  // Files and canvases the user uploaded or created in the window
+  async getFiles(startDate, endDate) {
+    try {
+      const activities = [];
+      let page = 1;
+      let pages = 1;
+
+      do {
+        const result = await this.api.call(() => this.client.files.list({
+          user: this.userId,
+          ts_from: Math.floor(startDate.getTime() / 1000),
+          ts_to: Math.floor(endDate.getTime() / 1000),
+          count: 100,
+          page,
+        }));
+        pages = result.paging?.pages || 1;
+
+        for (const file of result.files || []) {
+          const isCanvas = file.filetype === 'quip' || file.filetype === 'canvas';
+          const channelId = [...(file.channels || []), ...(file.groups || []), ...(file.ims || [])][0];
+
+          activities.push({
+            type: isCanvas ? 'canvas_created' : 'file_shared',
+            ...(channelId
+              ? await this.channelDetails(channelId)
+              : { channel: null, channelId: null, channelType: 'unshared_file' }),
+            fileId: file.id,
+            title: file.title || file.name,
+            fileType: file.pretty_type || file.filetype,
+            size: file.size,
+            permalink: file.permalink,
+            timestamp: new Date(file.created * 1000).toISOString(),
+          });
+        }
+
+        page++;
+      } while (page <= pages);
+
+      console.log(`📎 Found ${activities.length} files and canvases`);
+      return activities;
+    } catch (error) {
+      console.error('❌ Error fetching files:', error.message);
+      return [];
+    }
+  }
+
+  // Slack posts a huddle_thread message when a huddle starts; its room lists
+  // everyone who joined
+  async getHuddles(channels, startDate, endDate) {
+    const huddles = [];
+
+    for (const channel of channels) {
+      try {
+        const result = await this.api.call(() => this.client.conversations.history({
+          channel: channel.id,
+          oldest: String(startDate.getTime() / 1000),
+          latest: String(endDate.getTime() / 1000),
+          limit: 200,
+        }));
+
+        for (const msg of result.messages || []) {
+          const room = msg.room;
+          if (msg.subtype !== 'huddle_thread' || !room) continue;
+
+          const participants = room.participant_history || room.participants || [];
+          if (!participants.includes(this.userId)) continue;
+
+          const channelInfo = await this.describeConversation(channel);
+          const start = room.date_start || parseFloat(msg.ts);
+          huddles.push({
+            type: 'huddle',
+            channel: channelInfo.name,
+            channelId: channel.id,
+            channelType: channelInfo.type,
+            dmWith: channelInfo.dmWith || [],
+            title: room.name || '',
+            duration: room.date_end ? Math.round((room.date_end - start) / 60) : 0,
+            participantCount: participants.length,
+            permalink: msg.permalink || null,
+            timestamp: new Date(start * 1000).toISOString(),
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Error fetching huddles in ${channel.name || channel.id}: ${error.message}`);
+      }
+    }
+
+    return huddles;
+  }
+
   extractIntent(text, channelName) {
     // Same intent extraction logic as before
     const intents = [];
@@ -259,21 +632,7 @@ class SlackSearchIntegration {
     return intents.length > 0 ? intents : ['general_communication'];
   }
 
-  groupActivitiesByDate(activities) {
-    const grouped = {};
-    
-    for (const activity of activities) {
-      const date = format(new Date(activity.timestamp), 'yyyy-MM-dd');
-      if (!grouped[date]) {
-        grouped[date] = [];
-      }
-      grouped[date].push(activity);
-    }
-    
-    return grouped;
-  }
-
-  async getThreadReplies(messages, dateStr) {
+  async getThreadReplies(messages, startDate, endDate) {
     const allMessages = [...messages];
     const processedThreads = new Set();
 
@@ -291,19 +650,15 @@ class SlackSearchIntegration {
       try {
         console.log(`🧵 Fetching thread replies for message in ${message.channel?.name}...`);
         
-        const replies = await this.client.conversations.replies({
-          channel: message.channel.id,
-          ts: message.thread_ts,
-          limit: 100
-        });
+        const thread = await this.getThread(message.channel.id, message.thread_ts);
 
-        if (replies.messages && replies.messages.length > 1) {
+        if (thread.length > 1) {
           // Filter replies to only those from our user and on the target date
-          const userReplies = replies.messages
+          const userReplies = thread
             .filter(reply => 
               reply.user === this.userId && 
               reply.ts !== message.ts && // Exclude the original message
-              this.isMessageOnDate(reply.ts, dateStr)
+              this.isMessageInRange(reply.ts, startDate, endDate)
             )
             .map(reply => this.convertReplyToSearchFormat(reply, message.channel));
 
@@ -312,9 +667,6 @@ class SlackSearchIntegration {
         }
 
         processedThreads.add(message.thread_ts);
-        
-        // Add delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 500));
 
       } catch (error) {
         console.error(`❌ Error fetching thread replies: ${error.message}`);
@@ -324,10 +676,77 @@ class SlackSearchIntegration {
     return allMessages;
   }
 
-  isMessageOnDate(ts, targetDateStr) {
+  // Whole thread, parent first; cached so context capture doesn't refetch it
+  async getThread(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    if (!this.threads.has(key)) {
+      const thread = [];
+      let cursor;
+
+      do {
+        const result = await this.api.call(() => this.client.conversations.replies({ channel: channelId, ts: threadTs, limit: 200, cursor }));
+        thread.push(...(result.messages || []));
+        cursor = result.response_metadata?.next_cursor;
+      } while (cursor);
+
+      this.threads.set(key, thread);
+    }
+    return this.threads.get(key);
+  }
+
+  // The thread parent plus a few messages either side of ours, so a reply like
+  // "yes, ship it" can be read together with what it answered
+  async addThreadContext(activity) {
+    // Search results don't always carry thread_ts; reply permalinks do
+    const threadTs = activity.threadTs || this.permalinkThreadTs(activity.permalink);
+    if (!threadTs) {
+      return;
+    }
+
+    try {
+      const thread = await this.getThread(activity.channelId, threadTs);
+      const index = thread.findIndex(msg => msg.ts === activity.ts);
+      if (index === -1) {
+        return;
+      }
+
+      const limit = this.config.threadContextMessages || 5;
+      const nearby = index === 0
+        // We started the thread: the replies are the context
+        ? thread.slice(1, 1 + limit)
+        : [
+          ...thread.slice(Math.max(1, index - Math.ceil(limit / 2)), index),
+          ...thread.slice(index + 1, index + 1 + Math.floor(limit / 2)),
+        ];
+
+      const contextMessages = index === 0 ? nearby : [thread[0], ...nearby];
+      const maxChars = this.config.threadContextChars || 300;
+
+      activity.threadContext = [];
+      for (const msg of contextMessages) {
+        const { text } = await this.resolveMentions(msg.text || '');
+        activity.threadContext.push({
+          author: msg.user ? await this.getUserName(msg.user) : (msg.username || msg.bot_profile?.name || 'unknown'),
+          text: text.length > maxChars ? `${text.substring(0, maxChars)}...` : text,
+          isParent: msg.ts === threadTs,
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching thread context: ${error.message}`);
+    }
+  }
+
+  permalinkThreadTs(permalink) {
+    try {
+      return new URL(permalink).searchParams.get('thread_ts');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isMessageInRange(ts, startDate, endDate) {
     const messageDate = new Date(parseFloat(ts) * 1000);
-    const messageDateStr = format(messageDate, 'yyyy-MM-dd');
-    return messageDateStr === targetDateStr;
+    return messageDate >= startDate && messageDate < endDate;
   }
 
   convertReplyToSearchFormat(reply, channel) {
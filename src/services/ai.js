@@ -1,4 +1,12 @@
 import Anthropic from '@anthropic-ai/sdk';
+import {
+  ACTIVITY_KINDS,
+  listIntegrations,
+  getIntegration,
+  getActivityKind,
+  getSectionTitle,
+  summarizeActivity,
+} from '../integrations/registry.js';
 
 class AIService {
   constructor(config) {
@@ -42,52 +50,28 @@ class AIService {
   buildSummarizationPrompt(activities, date) {
     const dateStr = date.toDateString();
     
-    // Group activities by source
-    const slackActivities = activities.filter(a => a.source === 'slack');
-    const githubActivities = activities.filter(a => a.source === 'github');
-    const calendarActivities = activities.filter(a => a.source === 'gcal');
-
     let activitiesText = `Work activities for ${dateStr}:\n\n`;
-
-    // Add Slack activities
-    if (slackActivities.length > 0) {
-      activitiesText += `**Slack Communications (${slackActivities.length} activities):**\n`;
-      slackActivities.forEach(activity => {
-        const data = activity.data;
-        activitiesText += `- ${data.type} in #${data.channel}: "${data.text.substring(0, 100)}..." (Intent: ${data.intent.join(', ')})\n`;
-      });
-      activitiesText += '\n';
-    }
-
-    // Add GitHub activities
-    if (githubActivities.length > 0) {
-      activitiesText += `**GitHub Activities (${githubActivities.length} activities):**\n`;
-      githubActivities.forEach(activity => {
-        const data = activity.data;
-        if (data.type === 'pr_created') {
-          activitiesText += `- Created PR: "${data.title}" in ${data.repository}\n`;
-        } else if (data.type === 'pr_reviewed') {
-          activitiesText += `- Reviewed PR: "${data.title}" in ${data.repository} (${data.reviewState})\n`;
-        } else if (data.type === 'commit') {
-          activitiesText += `- Committed: "${data.message}" in ${data.repository}\n`;
-        } else if (data.type === 'issue_activity') {
-          activitiesText += `- Issue activity: "${data.title}" in ${data.repository}\n`;
+    // Thread context is the first thing dropped on busy days: ~4 characters per token
+    let contextBudget = (this.config.threadContextTokens ?? 1500) * 4;
+
+    // One block per source, in registration order
+    for (const Integration of listIntegrations()) {
+      const sourceActivities = activities.filter(a => a.source === Integration.id);
+      if (sourceActivities.length === 0) continue;
+
+      activitiesText += `**${getSectionTitle(Integration)} (${sourceActivities.length} activities):**\n`;
+      sourceActivities.forEach(activity => {
+        activitiesText += `- ${summarizeActivity(activity)}\n`;
+
+        const context = this.formatThreadContext(activity.data.threadContext);
+        if (context && context.length <= contextBudget) {
+          activitiesText += context;
+          contextBudget -= context.length;
         }
       });
       activitiesText += '\n';
     }
 
-    // Add Calendar activities
-    if (calendarActivities.length > 0) {
-      activitiesText += `**Calendar Events (${calendarActivities.length} events):**\n`;
-      calendarActivities.forEach(activity => {
-        const data = activity.data;
-        const duration = Math.round(data.duration / 60 * 100) / 100;
-        activitiesText += `- ${data.eventType}: "${data.title}" (${duration}h, ${data.attendeeCount} attendees)\n`;
-      });
-      activitiesText += '\n';
-    }
-
     const fullPrompt = `${this.config.summarizationPrompt}
 
 ${activitiesText}
@@ -97,6 +81,18 @@ Please create a professional work journal summary for this day. Focus on product
     return fullPrompt;
   }
 
+  formatThreadContext(threadContext) {
+    if (!threadContext || threadContext.length === 0) {
+      return '';
+    }
+
+    let context = '  Thread context:\n';
+    threadContext.forEach(message => {
+      context += `  > ${message.isParent ? '[thread start] ' : ''}${message.author}: "${message.text}"\n`;
+    });
+    return context;
+  }
+
   async categorizeActivities(activities) {
     if (!this.config.categorizeWork) {
       return activities;
@@ -162,14 +158,20 @@ Example format:
       const prompt = `Based on the following work metrics for ${date.toDateString()}, provide 2-3 brief insights about productivity patterns:
 
 **Time Distribution:**
-- Meetings: ${metrics.meetingTime} hours
+- Meetings: ${metrics.meetingTime} hours (${metrics.externalMeetingTime} with external attendees)
 - Development: ${metrics.developmentTime} hours  
+- Logged on tickets: ${metrics.loggedTime} hours
 - Communication: ${metrics.communicationTime} hours
+- On call: ${metrics.onCallTime} hours
 
 **Activity Counts:**
-- GitHub activities: ${metrics.githubCount}
-- Slack messages: ${metrics.slackCount}
+- Code activities: ${metrics.codeCount}
+- Workflow runs and releases: ${metrics.deployCount}
+- Chat messages: ${metrics.chatCount}
 - Calendar events: ${metrics.calendarCount}
+- Ticket activities: ${metrics.ticketCount}
+- Documentation activities: ${metrics.docCount}
+- Incidents handled: ${metrics.incidentCount}
 
 **Key Patterns:**
 ${metrics.patterns.join('\n')}
@@ -197,81 +199,111 @@ Provide actionable insights in 2-3 bullet points.`;
   calculateMetrics(activities) {
     const metrics = {
       meetingTime: 0,
+      externalMeetingTime: 0,
       developmentTime: 0,
+      loggedTime: 0,
       communicationTime: 0,
-      githubCount: 0,
-      slackCount: 0,
+      onCallTime: 0,
+      codeCount: 0,
+      deployCount: 0,
+      chatCount: 0,
       calendarCount: 0,
+      ticketCount: 0,
+      docCount: 0,
+      incidentCount: 0,
       patterns: [],
     };
 
+    const incidentIds = new Set();
+
     activities.forEach(activity => {
-      switch (activity.source) {
-        case 'slack':
-          metrics.slackCount++;
+      switch (getActivityKind(activity)) {
+        case 'chat':
+          if (activity.data.type === 'huddle') {
+            metrics.communicationTime += activity.data.duration / 60; // Convert to hours
+            break;
+          }
+          // Reactions and file shares aren't messages
+          if (getIntegration(activity.source)?.isMessage?.(activity.data) === false) {
+            break;
+          }
+          metrics.chatCount++;
           metrics.communicationTime += 0.1; // Estimate 6 minutes per message
           break;
-        case 'github':
-          metrics.githubCount++;
+        case 'code':
+          if (['workflow_run', 'release_published', 'tag_created'].includes(activity.data.type)) {
+            metrics.deployCount++;
+            break;
+          }
+          metrics.codeCount++;
           metrics.developmentTime += 0.5; // Estimate 30 minutes per activity
           break;
-        case 'gcal':
+        case 'calendar':
+          // Time off and working location markers aren't calendar time
+          if (['time_off', 'working_location'].includes(activity.data.type)) {
+            break;
+          }
           metrics.calendarCount++;
           metrics.meetingTime += activity.data.duration / 60; // Convert to hours
+          if (activity.data.isExternal) {
+            metrics.externalMeetingTime += activity.data.duration / 60;
+          }
+          break;
+        case 'tickets':
+          metrics.ticketCount++;
+          metrics.loggedTime += (activity.data.timeSpentSeconds || 0) / 3600; // Convert to hours
+          break;
+        case 'docs':
+          metrics.docCount++;
+          break;
+        case 'incidents':
+          if (activity.data.type === 'oncall_shift') {
+            metrics.onCallTime += activity.data.duration / 60; // Convert to hours
+          } else if (activity.data.incidentId) {
+            incidentIds.add(activity.data.incidentId);
+          }
           break;
       }
     });
 
+    metrics.incidentCount = incidentIds.size;
+
     // Generate patterns
     if (metrics.meetingTime > 4) {
       metrics.patterns.push('High meeting day (4+ hours)');
     }
     
-    if (metrics.githubCount > 5) {
+    if (metrics.codeCount > 5) {
       metrics.patterns.push('High development activity');
     }
     
-    if (metrics.slackCount > 20) {
+    if (metrics.chatCount > 20) {
       metrics.patterns.push('High communication volume');
     }
 
+    if (metrics.incidentCount > 0) {
+      metrics.patterns.push(`On-call interruptions (${metrics.incidentCount} incidents)`);
+    }
+
     return metrics;
   }
 
   describeActivity(activity) {
-    const data = activity.data;
-    
-    switch (activity.source) {
-      case 'slack':
-        return `Slack ${data.type} in #${data.channel}: "${data.text.substring(0, 50)}..."`;
-      case 'github':
-        if (data.type === 'pr_created') {
-          return `GitHub PR created: "${data.title}" in ${data.repository}`;
-        } else if (data.type === 'pr_reviewed') {
-          return `GitHub PR reviewed: "${data.title}" in ${data.repository}`;
-        } else if (data.type === 'commit') {
-          return `GitHub commit: "${data.message}" in ${data.repository}`;
-        }
-        return `GitHub ${data.type} in ${data.repository}`;
-      case 'gcal':
-        return `Calendar: ${data.eventType} "${data.title}" (${Math.round(data.duration)}min)`;
-      default:
-        return `${activity.source} activity`;
-    }
+    return summarizeActivity(activity);
   }
 
   fallbackSummary(activities, date) {
     const dateStr = date.toDateString();
     let summary = `# Work Summary for ${dateStr}\n\n`;
     
-    const slackCount = activities.filter(a => a.source === 'slack').length;
-    const githubCount = activities.filter(a => a.source === 'github').length;
-    const calendarCount = activities.filter(a => a.source === 'gcal').length;
-    
     summary += `## Activity Overview\n`;
-    summary += `- **Slack Communications**: ${slackCount} activities\n`;
-    summary += `- **GitHub Activities**: ${githubCount} activities\n`;
-    summary += `- **Calendar Events**: ${calendarCount} events\n\n`;
+    for (const Integration of listIntegrations()) {
+      const count = activities.filter(a => a.source === Integration.id).length;
+      if (count > 0) {
+        summary += `- **${getSectionTitle(Integration)}**: ${count} activities\n`;
+      }
+    }
+    summary += '\n';
     
     summary += `## Key Activities\n`;
     activities.slice(0, 10).forEach(activity => {
@@ -282,11 +314,10 @@ Provide actionable insights in 2-3 bullet points.`;
   }
 
   fallbackCategorization(activities) {
-    const categories = {
-      'Communication': activities.filter(a => a.source === 'slack'),
-      'Development': activities.filter(a => a.source === 'github'),
-      'Meetings': activities.filter(a => a.source === 'gcal'),
-    };
+    const categories = {};
+    for (const [kind, { category }] of Object.entries(ACTIVITY_KINDS)) {
+      categories[category] = activities.filter(a => getActivityKind(a) === kind);
+    }
 
     // Remove empty categories
     Object.keys(categories).forEach(key => {
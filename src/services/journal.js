@@ -1,4 +1,12 @@
 import { format } from 'date-fns';
+import {
+  listIntegrations,
+  getIntegration,
+  getKind,
+  getActivityKind,
+  getSectionTitle,
+  describeActivity,
+} from '../integrations/registry.js';
 
 class JournalService {
   constructor(config, storage, aiService) {
@@ -17,10 +25,14 @@ class JournalService {
       // Normalize activities into a common format
       const activities = this.normalizeActivities(rawData);
       
-      if (activities.length === 0) {
-        console.log(`No activities found for ${dateStr}`);
+      // A day with nothing but time off or a working location is an empty day
+      const timeOff = activities.filter(activity => activity.data.type === 'time_off');
+      const hasWork = activities.some(activity => !['time_off', 'working_location'].includes(activity.data.type));
+
+      if (!hasWork) {
+        console.log(`No activities found for ${dateStr}${timeOff.length > 0 ? ' (time off)' : ''}`);
         // Create a minimal journal even with no activities
-        const emptyJournalContent = this.generateEmptyJournal(date);
+        const emptyJournalContent = this.generateEmptyJournal(date, timeOff);
         const journalPath = await this.storage.saveJournal(date, emptyJournalContent);
         return journalPath;
       }
@@ -47,28 +59,12 @@ class JournalService {
     const dateStr = format(date, 'yyyy-MM-dd');
     const rawData = {};
 
-    // Get Slack data
-    const slackData = await this.storage.getRawData('slack', dateStr);
-    if (slackData && slackData.data) {
-      rawData.slack = slackData.data;
-    }
-
-    // Get GitHub data
-    const githubData = await this.storage.getRawData('github', dateStr);
-    if (githubData && githubData.data) {
-      rawData.github = githubData.data;
-    }
-
-    // Get Google Calendar data
-    const gcalData = await this.storage.getRawData('gcal', dateStr);
-    if (gcalData && gcalData.data) {
-      rawData.gcal = gcalData.data;
-    }
-
-    // Get JIRA data
-    const jiraData = await this.storage.getRawData('jira', dateStr);
-    if (jiraData && jiraData.data) {
-      rawData.jira = jiraData.data;
+    // Every registered integration stores its raw data under its own id
+    for (const Integration of listIntegrations()) {
+      const sourceData = await this.storage.getRawData(Integration.id, dateStr);
+      if (sourceData && sourceData.data) {
+        rawData[Integration.id] = sourceData.data;
+      }
     }
 
     return rawData;
@@ -77,44 +73,10 @@ class JournalService {
   normalizeActivities(rawData) {
     const activities = [];
 
-    // Process Slack activities
-    if (rawData.slack) {
-      rawData.slack.forEach(activity => {
-        activities.push({
-          source: 'slack',
-          timestamp: activity.timestamp,
-          data: activity,
-        });
-      });
-    }
-
-    // Process GitHub activities
-    if (rawData.github) {
-      rawData.github.forEach(activity => {
+    for (const [source, sourceActivities] of Object.entries(rawData)) {
+      sourceActivities.forEach(activity => {
         activities.push({
-          source: 'github',
-          timestamp: activity.timestamp,
-          data: activity,
-        });
-      });
-    }
-
-    // Process Google Calendar activities
-    if (rawData.gcal) {
-      rawData.gcal.forEach(activity => {
-        activities.push({
-          source: 'gcal',
-          timestamp: activity.timestamp,
-          data: activity,
-        });
-      });
-    }
-
-    // Process JIRA activities
-    if (rawData.jira) {
-      rawData.jira.forEach(activity => {
-        activities.push({
-          source: 'jira',
+          source,
           timestamp: activity.timestamp,
           data: activity,
         });
@@ -127,15 +89,19 @@ class JournalService {
     return activities;
   }
 
-  generateEmptyJournal(date) {
+  generateEmptyJournal(date, timeOff = []) {
     const dateStr = format(date, this.config.dateFormat);
     const dayName = format(date, 'EEEE');
+    const titles = [...new Set(timeOff.map(activity => activity.data.title))];
+    const summary = titles.length > 0
+      ? `🌴 Time off: ${titles.join(', ')}. No work activities were recorded.`
+      : 'No activities were recorded for this date.';
     
     return `# ${dayName}, ${dateStr}
 
 ## Summary
 
-No activities were recorded for this date.
+${summary}
 
 ## Notes
 
@@ -199,42 +165,104 @@ No tracked activities found for ${dateStr}.
   calculateDayMetrics(activities) {
     const metrics = {
       totalActivities: activities.length,
-      slackMessages: activities.filter(a => a.source === 'slack').length,
-      githubActivities: activities.filter(a => a.source === 'github').length,
-      calendarEvents: activities.filter(a => a.source === 'gcal').length,
-      jiraActivities: activities.filter(a => a.source === 'jira').length,
+      sourceCounts: {},
       meetingTime: 0,
+      externalMeetingTime: 0,
+      timeOff: 0,
+      workingLocation: null,
+      onCallTime: 0,
+      hoursLogged: 0,
+      incidentsHandled: new Set(),
+      linesAdded: 0,
+      linesDeleted: 0,
+      prsMerged: 0,
+      reviews: 0,
+      reviewComments: 0,
+      workflowRuns: 0,
+      failedWorkflowRuns: 0,
+      workflowTime: 0,
+      releases: 0,
       topChannels: {},
       topRepositories: {},
       topProjects: {},
+      topSpaces: {},
+      topAttendees: {},
       eventTypes: {},
     };
 
     // Calculate meeting time and collect stats
     activities.forEach(activity => {
-      if (activity.source === 'gcal') {
+      const kind = getActivityKind(activity);
+      metrics.sourceCounts[activity.source] = (metrics.sourceCounts[activity.source] || 0) + 1;
+
+      if (kind === 'calendar' && activity.data.type === 'time_off') {
+        metrics.timeOff += activity.data.duration / 60; // Convert to hours
+      } else if (kind === 'calendar' && activity.data.type === 'working_location') {
+        metrics.workingLocation = activity.data.location;
+      } else if (kind === 'calendar') {
         metrics.meetingTime += activity.data.duration / 60; // Convert to hours
         
         const eventType = activity.data.eventType;
         metrics.eventTypes[eventType] = (metrics.eventTypes[eventType] || 0) + 1;
+
+        if (activity.data.isExternal) {
+          metrics.externalMeetingTime += activity.data.duration / 60;
+        }
+        for (const attendee of activity.data.attendees || []) {
+          metrics.topAttendees[attendee.name] = (metrics.topAttendees[attendee.name] || 0) + 1;
+        }
       }
 
-      if (activity.source === 'slack') {
-        const channel = activity.data.channel;
+      if (kind === 'chat' && activity.data.channel) {
+        const channel = this.formatChannel(activity);
         metrics.topChannels[channel] = (metrics.topChannels[channel] || 0) + 1;
       }
 
-      if (activity.source === 'github') {
+      if (kind === 'code') {
         const repo = activity.data.repository;
         metrics.topRepositories[repo] = (metrics.topRepositories[repo] || 0) + 1;
+
+        if (activity.data.type === 'pr_created') {
+          metrics.linesAdded += activity.data.additions || 0;
+          metrics.linesDeleted += activity.data.deletions || 0;
+        } else if (activity.data.type === 'pr_merged') {
+          metrics.prsMerged++;
+        } else if (activity.data.type === 'pr_reviewed') {
+          metrics.reviews++;
+          metrics.reviewComments += activity.data.reviewComments || 0;
+        } else if (activity.data.type === 'workflow_run') {
+          metrics.workflowRuns++;
+          metrics.workflowTime += (activity.data.duration || 0) / 60; // Convert to hours
+          if (activity.data.conclusion === 'failure') {
+            metrics.failedWorkflowRuns++;
+          }
+        } else if (activity.data.type === 'release_published' || activity.data.type === 'tag_created') {
+          metrics.releases++;
+        }
       }
 
-      if (activity.source === 'jira') {
+      if (kind === 'tickets') {
         const project = activity.data.project;
         metrics.topProjects[project] = (metrics.topProjects[project] || 0) + 1;
+        metrics.hoursLogged += (activity.data.timeSpentSeconds || 0) / 3600;
+      }
+
+      if (kind === 'incidents') {
+        if (activity.data.type === 'oncall_shift') {
+          metrics.onCallTime += activity.data.duration / 60; // Convert to hours
+        } else if (activity.data.incidentId) {
+          metrics.incidentsHandled.add(activity.data.incidentId);
+        }
+      }
+
+      if (kind === 'docs') {
+        const space = activity.data.space;
+        metrics.topSpaces[space] = (metrics.topSpaces[space] || 0) + 1;
       }
     });
 
+    metrics.incidentsHandled = metrics.incidentsHandled.size;
+
     // Sort top items
     metrics.topChannels = Object.entries(metrics.topChannels)
       .sort(([,a], [,b]) => b - a)
@@ -248,6 +276,14 @@ No tracked activities found for ${dateStr}.
       .sort(([,a], [,b]) => b - a)
       .slice(0, 5);
 
+    metrics.topSpaces = Object.entries(metrics.topSpaces)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 5);
+
+    metrics.topAttendees = Object.entries(metrics.topAttendees)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 5);
+
     return metrics;
   }
 
@@ -255,16 +291,50 @@ No tracked activities found for ${dateStr}.
     let section = `## Daily Metrics\n\n`;
     
     section += `- **Total Activities**: ${metrics.totalActivities}\n`;
-    section += `- **Slack Messages**: ${metrics.slackMessages}\n`;
-    section += `- **GitHub Activities**: ${metrics.githubActivities}\n`;
-    section += `- **Calendar Events**: ${metrics.calendarEvents}\n`;
-    section += `- **JIRA Activities**: ${metrics.jiraActivities}\n`;
-    section += `- **Meeting Time**: ${metrics.meetingTime.toFixed(1)} hours\n\n`;
+    for (const [source, count] of Object.entries(metrics.sourceCounts)) {
+      const Integration = getIntegration(source);
+      section += `- **${Integration ? getSectionTitle(Integration) : source}**: ${count}\n`;
+    }
+    section += `- **Meeting Time**: ${metrics.meetingTime.toFixed(1)} hours\n`;
+    if (metrics.externalMeetingTime > 0) {
+      section += `- **External Meeting Time**: ${metrics.externalMeetingTime.toFixed(1)} hours\n`;
+    }
+    if (metrics.timeOff > 0) {
+      section += `- **Time Off**: ${metrics.timeOff.toFixed(1)} hours\n`;
+    }
+    if (metrics.workingLocation) {
+      section += `- **Working From**: ${metrics.workingLocation}\n`;
+    }
+    if (metrics.hoursLogged > 0) {
+      section += `- **Hours Logged**: ${metrics.hoursLogged.toFixed(1)} hours\n`;
+    }
+    if (metrics.onCallTime > 0) {
+      section += `- **Time On Call**: ${metrics.onCallTime.toFixed(1)} hours\n`;
+    }
+    if (metrics.incidentsHandled > 0) {
+      section += `- **Incidents Handled**: ${metrics.incidentsHandled}\n`;
+    }
+    if (metrics.linesAdded > 0 || metrics.linesDeleted > 0) {
+      section += `- **Code Volume (PRs opened)**: +${metrics.linesAdded}/-${metrics.linesDeleted} lines\n`;
+    }
+    if (metrics.prsMerged > 0) {
+      section += `- **PRs Merged**: ${metrics.prsMerged}\n`;
+    }
+    if (metrics.reviews > 0) {
+      section += `- **Code Reviews**: ${metrics.reviews} (${metrics.reviewComments} review comments)\n`;
+    }
+    if (metrics.workflowRuns > 0) {
+      section += `- **Workflow Runs**: ${metrics.workflowRuns} (${metrics.failedWorkflowRuns} failed, ${metrics.workflowTime.toFixed(1)} hours)\n`;
+    }
+    if (metrics.releases > 0) {
+      section += `- **Releases Published**: ${metrics.releases}\n`;
+    }
+    section += '\n';
 
     if (metrics.topChannels.length > 0) {
       section += `**Most Active Slack Channels:**\n`;
       metrics.topChannels.forEach(([channel, count]) => {
-        section += `- #${channel}: ${count} messages\n`;
+        section += `- ${channel}: ${count} messages\n`;
       });
       section += '\n';
     }
@@ -278,13 +348,29 @@ No tracked activities found for ${dateStr}.
     }
 
     if (metrics.topProjects.length > 0) {
-      section += `**Most Active JIRA Projects:**\n`;
+      section += `**Most Active Projects:**\n`;
       metrics.topProjects.forEach(([project, count]) => {
         section += `- ${project}: ${count} activities\n`;
       });
       section += '\n';
     }
 
+    if (metrics.topSpaces.length > 0) {
+      section += `**Most Active Document Spaces:**\n`;
+      metrics.topSpaces.forEach(([space, count]) => {
+        section += `- ${space}: ${count} activities\n`;
+      });
+      section += '\n';
+    }
+
+    if (metrics.topAttendees.length > 0) {
+      section += `**Met With Most:**\n`;
+      metrics.topAttendees.forEach(([name, count]) => {
+        section += `- ${name}: ${count} meetings\n`;
+      });
+      section += '\n';
+    }
+
     return section;
   }
 
@@ -303,55 +389,54 @@ No tracked activities found for ${dateStr}.
   generateByToolSection(activities) {
     let section = '';
 
-    const slackActivities = activities.filter(a => a.source === 'slack');
-    const githubActivities = activities.filter(a => a.source === 'github');
-    const calendarActivities = activities.filter(a => a.source === 'gcal');
-    const jiraActivities = activities.filter(a => a.source === 'jira');
-
-    if (calendarActivities.length > 0) {
-      section += `## Calendar Events\n\n`;
-      calendarActivities.forEach(activity => {
-        const time = format(new Date(activity.timestamp), this.config.timeFormat);
-        const data = activity.data;
-        const duration = Math.round(data.duration / 60 * 100) / 100;
-        section += `**${time}** - ${data.title} (${duration}h, ${data.attendeeCount} attendees)\n`;
-        if (data.description) {
-          section += `  *${data.description.substring(0, 100)}...*\n`;
-        }
-        section += '\n';
-      });
-    }
-
-    if (githubActivities.length > 0) {
-      section += `## GitHub Activities\n\n`;
-      githubActivities.forEach(activity => {
-        const time = format(new Date(activity.timestamp), this.config.timeFormat);
-        const description = this.getActivityDescription(activity);
-        section += `**${time}** - ${description}\n`;
-        if (activity.data.url) {
-          section += `  [View on GitHub](${activity.data.url})\n`;
-        }
-        section += `\n`;
-      });
-    }
-
-    if (jiraActivities.length > 0) {
-      section += `## JIRA Activities\n\n`;
-      jiraActivities.forEach(activity => {
-        const time = format(new Date(activity.timestamp), this.config.timeFormat);
-        const description = this.getActivityDescription(activity);
-        section += `**${time}** - ${description}\n`;
-        if (activity.data.url) {
-          section += `  [View Ticket](${activity.data.url})\n`;
-        }
-        section += `\n`;
-      });
-    }
-
-    if (slackActivities.length > 0) {
-      section += `## Slack Communications Summary\n\n`;
-      const slackSummary = this.generateSlackSummary(slackActivities);
-      section += slackSummary;
+    // Calendar first, chat last; each source gets its own section within its kind
+    const kindOrder = ['calendar', 'incidents', 'code', 'tickets', 'docs', 'other', 'chat'];
+    const kindOf = source => getKind(getIntegration(source));
+    const sources = [...new Set(activities.map(a => a.source))]
+      .sort((a, b) => kindOrder.indexOf(kindOf(a)) - kindOrder.indexOf(kindOf(b)));
+
+    for (const source of sources) {
+      const Integration = getIntegration(source);
+      const kind = kindOf(source);
+      const sourceActivities = activities.filter(a => a.source === source);
+      const title = Integration ? getSectionTitle(Integration) : source;
+
+      if (kind === 'calendar') {
+        section += `## ${title}\n\n`;
+        sourceActivities.forEach(activity => {
+          const time = format(new Date(activity.timestamp), this.config.timeFormat);
+          const data = activity.data;
+          // Time off and working location markers aren't meetings
+          if (data.type === 'time_off' || data.type === 'working_location') {
+            section += `**${time}** - ${this.getActivityDescription(activity)}\n\n`;
+            return;
+          }
+          const duration = Math.round(data.duration / 60 * 100) / 100;
+          const external = data.isExternal ? `, ${data.externalAttendeeCount} external` : '';
+          section += `**${time}** - ${data.title} (${duration}h, ${data.attendeeCount} attendees${external})\n`;
+          if (data.attendees && data.attendees.length > 0) {
+            section += `  With: ${data.attendees.map(attendee => attendee.name).join(', ')}\n`;
+          }
+          if (data.description) {
+            section += `  *${data.description.substring(0, 100)}...*\n`;
+          }
+          section += '\n';
+        });
+      } else if (kind === 'chat') {
+        section += `## ${Integration?.label || source} Communications Summary\n\n`;
+        section += this.generateSlackSummary(sourceActivities);
+      } else {
+        section += `## ${title}\n\n`;
+        sourceActivities.forEach(activity => {
+          const time = format(new Date(activity.timestamp), this.config.timeFormat);
+          const description = this.getActivityDescription(activity);
+          section += `**${time}** - ${description}\n`;
+          if (activity.data.url) {
+            section += `  [${Integration?.linkLabel || 'View'}](${activity.data.url})\n`;
+          }
+          section += `\n`;
+        });
+      }
     }
 
     return section;
@@ -386,16 +471,28 @@ No tracked activities found for ${dateStr}.
     return section;
   }
 
-  generateSlackSummary(slackActivities) {
+  generateSlackSummary(chatActivities) {
     const channelStats = {};
     const intentStats = {};
     const typeStats = {};
+    const peopleStats = {};
+
+    // Reactions, files and huddles are counted on their own, not as messages
+    const isMessage = activity => getIntegration(activity.source)?.isMessage?.(activity.data) ?? true;
+    const slackActivities = chatActivities.filter(isMessage);
+    const otherActivities = chatActivities.filter(activity => !isMessage(activity));
     
     slackActivities.forEach(activity => {
       const data = activity.data;
       
       // Channel statistics
-      channelStats[data.channel] = (channelStats[data.channel] || 0) + 1;
+      const channel = this.formatChannel(activity);
+      channelStats[channel] = (channelStats[channel] || 0) + 1;
+
+      // People you messaged directly or mentioned
+      new Set([...(data.dmWith || []), ...(data.mentions || [])]).forEach(person => {
+        peopleStats[person] = (peopleStats[person] || 0) + 1;
+      });
       
       // Intent statistics
       if (data.intent && Array.isArray(data.intent)) {
@@ -408,7 +505,31 @@ No tracked activities found for ${dateStr}.
       typeStats[data.type] = (typeStats[data.type] || 0) + 1;
     });
 
-    let summary = `**Total Messages**: ${slackActivities.length}\n\n`;
+    let summary = `**Total Messages**: ${slackActivities.length}\n`;
+
+    const countOf = type => otherActivities.filter(activity => activity.data.type === type).length;
+    const huddles = otherActivities.filter(activity => activity.data.type === 'huddle');
+    const huddleMinutes = huddles.reduce((total, activity) => total + (activity.data.duration || 0), 0);
+
+    // Slack doesn't record when a reaction was added, so reactions are dated by
+    // the message they were added to rather than counted as that day's activity
+    if (countOf('reaction_added') > 0) {
+      summary += `**Reactions on This Day's Messages**: ${countOf('reaction_added')}\n`;
+    }
+    if (countOf('file_shared') > 0) {
+      summary += `**Files Shared**: ${countOf('file_shared')}\n`;
+    }
+    if (countOf('canvas_created') > 0) {
+      summary += `**Canvases Created**: ${countOf('canvas_created')}\n`;
+    }
+    if (huddles.length > 0) {
+      summary += `**Huddles**: ${huddles.length} (${Math.round(huddleMinutes / 60 * 100) / 100}h)\n`;
+    }
+    summary += '\n';
+
+    if (slackActivities.length === 0) {
+      return summary;
+    }
     
     // Communication patterns
     summary += `**Communication Patterns:**\n`;
@@ -429,9 +550,22 @@ No tracked activities found for ${dateStr}.
       .slice(0, 8);
     
     sortedChannels.forEach(([channel, count]) => {
-      summary += `- #${channel}: ${count} messages\n`;
+      summary += `- ${channel}: ${count} messages\n`;
     });
     summary += '\n';
+
+    // Collaborators
+    const sortedPeople = Object.entries(peopleStats)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 8);
+
+    if (sortedPeople.length > 0) {
+      summary += `**Top Collaborators:**\n`;
+      sortedPeople.forEach(([person, count]) => {
+        summary += `- ${person}: ${count} messages\n`;
+      });
+      summary += '\n';
+    }
     
     // Message types
     summary += `**Message Types:**\n`;
@@ -443,57 +577,13 @@ No tracked activities found for ${dateStr}.
     return summary;
   }
 
+  // Chat integrations name their own channels (e.g. Slack's #channel vs DMs)
+  formatChannel(activity) {
+    return getIntegration(activity.source)?.formatChannel?.(activity.data) ?? activity.data.channel;
+  }
+
   getActivityDescription(activity) {
-    const data = activity.data;
-    
-    switch (activity.source) {
-      case 'slack':
-        return `💬 **${data.type}** in #${data.channel}: "${data.text.substring(0, 100)}..."`;
-      
-      case 'github':
-        if (data.type === 'pr_created') {
-          return `🔧 **PR Created**: "${data.title}" in ${data.repository}`;
-        } else if (data.type === 'pr_reviewed') {
-          return `👁️ **PR Reviewed**: "${data.title}" in ${data.repository} (${data.reviewState})`;
-        } else if (data.type === 'commit') {
-          return `💻 **Commit**: "${data.message}" in ${data.repository}`;
-        } else if (data.type === 'issue_activity') {
-          return `🎯 **Issue**: "${data.title}" in ${data.repository}`;
-        }
-        return `🐙 **${data.type}** in ${data.repository}`;
-      
-      case 'gcal':
-        const duration = Math.round(data.duration / 60 * 100) / 100;
-        let icon = '📅';
-        if (data.eventType === 'meeting') icon = '🤝';
-        if (data.eventType === 'standup') icon = '🏃';
-        if (data.eventType === 'one_on_one') icon = '👥';
-        if (data.eventType === 'focus_time') icon = '🎯';
-        
-        return `${icon} **${data.eventType}**: "${data.title}" (${duration}h)`;
-      
-      case 'jira':
-        let jiraIcon = '🎫';
-        if (data.type === 'ticket_created') {
-          jiraIcon = '🆕';
-        } else if (data.type === 'ticket_updated') {
-          jiraIcon = '🔄';
-        } else if (data.type === 'comment_added') {
-          jiraIcon = '💬';
-        }
-        
-        let description = `${jiraIcon} **${data.type.replace('_', ' ')}**: "${data.summary}" in ${data.project}`;
-        
-        if (data.changes && data.changes.length > 0) {
-          const changeText = data.changes.map(c => `${c.field}: ${c.from} → ${c.to}`).join(', ');
-          description += ` (${changeText})`;
-        }
-        
-        return description;
-      
-      default:
-        return `${activity.source} activity`;
-    }
+    return describeActivity(activity);
   }
 }
 
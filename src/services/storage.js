@@ -135,6 +135,33 @@ class StorageService {
     }
   }
 
+  // Lookup caches kept between syncs (e.g. Slack user and channel names)
+  getCachePath(name) {
+    return path.join(this.dataDir, 'cache', `${name}.json`);
+  }
+
+  async getCache(name) {
+    try {
+      const filePath = this.getCachePath(name);
+      return (await fs.pathExists(filePath)) ? await fs.readJson(filePath) : null;
+    } catch (error) {
+      console.error(`Error reading ${name} cache:`, error.message);
+      return null;
+    }
+  }
+
+  async saveCache(name, data) {
+    try {
+      const filePath = this.getCachePath(name);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeJson(filePath, data, { spaces: 2 });
+      return filePath;
+    } catch (error) {
+      console.error(`Error saving ${name} cache:`, error.message);
+      throw error;
+    }
+  }
+
   async saveJournal(date, content) {
     try {
       const dateStr = format(new Date(date), this.config.journal.dateFormat);
@@ -0,0 +1,57 @@
+import { format } from 'date-fns';
+
+// Bucket activities by local calendar day (the key raw data is stored under),
+// each day in chronological order
+export function groupActivitiesByDate(activities) {
+  const grouped = {};
+
+  for (const activity of activities) {
+    const date = format(new Date(activity.timestamp), 'yyyy-MM-dd');
+    if (!grouped[date]) {
+      grouped[date] = [];
+    }
+    grouped[date].push(activity);
+  }
+
+  for (const dayActivities of Object.values(grouped)) {
+    dayActivities.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  return grouped;
+}
+
+// Apply an integration's includeRepos / excludeRepos / excludeRepoPatterns to
+// activities by their `repository`. Patterns use * as a wildcard; includeRepos
+// must match the whole name, excludeRepoPatterns any part of it.
+export function filterRepositories(activities, config) {
+  const includeRepos = config.includeRepos || [];
+  const excludeRepos = config.excludeRepos || [];
+  const excludeRepoPatterns = config.excludeRepoPatterns || [];
+
+  return activities.filter(activity => {
+    const repoName = activity.repository;
+
+    // If includeRepos is specified, only include those repositories
+    if (includeRepos.length > 0 && !includeRepos.some(pattern => {
+      const regex = new RegExp(`^${pattern.replace(/\*/g, '.*')}$`, 'i');
+      return regex.test(repoName);
+    })) {
+      return false;
+    }
+
+    // Skip excluded repositories
+    if (excludeRepos.includes(repoName)) {
+      return false;
+    }
+
+    // Skip repositories matching excluded patterns
+    if (excludeRepoPatterns.some(pattern => {
+      const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
+      return regex.test(repoName);
+    })) {
+      return false;
+    }
+
+    return true;
+  });
+}
@@ -0,0 +1,110 @@
+// Atlassian Document Format (the JSON rich-text format JIRA Cloud returns for
+// descriptions, comments and worklog comments) rendered as Markdown-flavoured
+// plain text for journals and AI prompts.
+
+function renderMarks(text, marks = []) {
+  let rendered = text;
+  for (const mark of marks) {
+    if (mark.type === 'code') {
+      rendered = `\`${rendered}\``;
+    } else if (mark.type === 'strong') {
+      rendered = `**${rendered}**`;
+    } else if (mark.type === 'em') {
+      rendered = `*${rendered}*`;
+    } else if (mark.type === 'strike') {
+      rendered = `~~${rendered}~~`;
+    } else if (mark.type === 'link' && mark.attrs?.href && mark.attrs.href !== text) {
+      rendered = `[${rendered}](${mark.attrs.href})`;
+    }
+  }
+  return rendered;
+}
+
+function renderInline(nodes = []) {
+  return nodes.map(renderNode).join('');
+}
+
+// Items render their blocks unindented; everything after the bullet line is
+// indented under it, which nests sub-lists naturally
+function renderList(node, ordered) {
+  return (node.content || []).map((item, index) => {
+    const bullet = ordered ? `${(node.attrs?.order || 1) + index}.` : '-';
+    const body = (item.content || []).map(renderNode).filter(Boolean).join('\n');
+    return `${bullet} ${body.split('\n').join('\n  ')}`;
+  }).join('\n');
+}
+
+function renderNode(node) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'doc':
+      return (node.content || []).map(renderNode).filter(Boolean).join('\n\n');
+    case 'text':
+      return renderMarks(node.text || '', node.marks);
+    case 'hardBreak':
+      return '\n';
+    case 'paragraph':
+      return renderInline(node.content);
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 1)} ${renderInline(node.content)}`;
+    case 'bulletList':
+      return renderList(node, false);
+    case 'orderedList':
+      return renderList(node, true);
+    case 'taskList':
+      return (node.content || []).map(item =>
+        `- [${item.attrs?.state === 'DONE' ? 'x' : ' '}] ${renderInline(item.content)}`).join('\n');
+    case 'decisionList':
+      return (node.content || []).map(item => `- Decision: ${renderInline(item.content)}`).join('\n');
+    case 'codeBlock':
+      return `\`\`\`${node.attrs?.language || ''}\n${(node.content || []).map(child => child.text || '').join('')}\n\`\`\``;
+    case 'blockquote':
+      return (node.content || []).map(renderNode).join('\n\n')
+        .split('\n').map(line => `> ${line}`).join('\n');
+    case 'panel':
+    case 'expand':
+    case 'nestedExpand':
+    case 'layoutSection':
+    case 'layoutColumn':
+      return [node.attrs?.title, ...(node.content || []).map(renderNode)]
+        .filter(Boolean).join('\n\n');
+    case 'rule':
+      return '---';
+    case 'table':
+      return (node.content || []).map(row =>
+        `| ${(row.content || []).map(cell => renderNode({ type: 'doc', content: cell.content }).replace(/\n+/g, ' ')).join(' | ')} |`
+      ).join('\n');
+    case 'mention':
+      // attrs.text already carries the leading "@"
+      return node.attrs?.text || '@someone';
+    case 'emoji':
+      return node.attrs?.text || node.attrs?.shortName || '';
+    case 'status':
+      return `[${node.attrs?.text || ''}]`;
+    case 'date':
+      return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard':
+      return node.attrs?.url || '';
+    case 'mediaSingle':
+    case 'mediaGroup':
+    case 'media':
+      return '[attachment]';
+    default:
+      // Unknown node types: keep whatever text they contain
+      return node.content ? renderInline(node.content) : (node.text || '');
+  }
+}
+
+export function adfToText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Server / Data Center and the v2 API return wiki-markup strings
+  if (typeof value === 'string') {
+    return value;
+  }
+  return renderNode(value).trim();
+}
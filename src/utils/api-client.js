@@ -0,0 +1,175 @@
+// Every integration's API calls go through one of these, configured from the
+// `sync` block: a token bucket per integration (sync.rateLimit[id], requests
+// per minute), retries with exponential backoff and jitter on 429/5xx and
+// network errors (sync.maxRetries, sync.retryDelay), Retry-After and GitHub's
+// rate-limit reset honoured, and a cap on requests per sync (sync.requestBudget).
+
+const RETRIABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+// Waits beyond this (e.g. GitHub's hourly quota running out) fail the call
+// instead of stalling the sync
+const MAX_WAIT_MS = 5 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getStatus(failure) {
+  const status = failure.status ?? failure.statusCode ?? failure.response?.status ?? failure.code;
+  return typeof status === 'number' ? status : undefined;
+}
+
+function getHeader(failure, name) {
+  // Octokit errors deprecate .headers in favour of .response.headers
+  const headers = failure.response?.headers || failure.headers;
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+export class ApiClient {
+  constructor(config, id, label = id) {
+    const sync = config.sync || {};
+    this.label = label;
+    this.maxRetries = sync.maxRetries ?? 3;
+    this.retryDelay = sync.retryDelay ?? 1000;
+    this.requestBudget = sync.requestBudget ?? Infinity;
+    this.ratePerMinute = sync.rateLimit?.[id] || 0;
+
+    // Allow short bursts of up to ten seconds' worth of requests
+    this.capacity = Math.max(1, Math.ceil(this.ratePerMinute / 6));
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, waitedMs: 0 };
+  }
+
+  // Run an API call (any function returning a promise) under the rate limit,
+  // retrying it when it fails with a retriable error
+  async call(request) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      try {
+        return await request();
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        await this.wait(delay, error.message);
+      }
+    }
+  }
+
+  // fetch() under the same rules. Retriable responses that run out of retries
+  // are returned as-is so callers keep their own !response.ok handling.
+  async fetch(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      let response;
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        await this.wait(delay, error.message);
+        continue;
+      }
+
+      const delay = response.ok ? null : this.getRetryDelay(response, attempt);
+      if (delay === null) {
+        return response;
+      }
+      // Release the connection instead of leaving the unread body holding it
+      await response.body?.cancel();
+      await this.wait(delay, `HTTP ${response.status}`);
+    }
+  }
+
+  // Milliseconds to wait before retrying, or null when the failure isn't
+  // retriable or retries are used up
+  getRetryDelay(failure, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const status = getStatus(failure);
+    const rateLimitReset = getHeader(failure, 'x-ratelimit-reset');
+    const quotaExhausted = status === 403 && getHeader(failure, 'x-ratelimit-remaining') === '0';
+    // Slack's WebClient reports rate limiting as an error carrying retryAfter
+    const rateLimited = status === 429 || quotaExhausted || failure.retryAfter !== undefined;
+    const retriable = rateLimited || (status >= 500 && status < 600) ||
+      (status === 403 && getHeader(failure, 'retry-after') !== undefined) ||
+      RETRIABLE_NETWORK_CODES.includes(failure.code ?? failure.cause?.code) ||
+      (failure instanceof TypeError && failure.message === 'fetch failed');
+
+    if (!retriable) {
+      return null;
+    }
+    if (rateLimited) {
+      this.stats.rateLimited++;
+    }
+
+    let delay;
+    const retryAfter = failure.retryAfter ?? getHeader(failure, 'retry-after');
+    if (retryAfter !== undefined && retryAfter !== null) {
+      // Seconds, or an HTTP date
+      delay = Number.isNaN(Number(retryAfter)) ? new Date(retryAfter) - Date.now() : Number(retryAfter) * 1000;
+    } else if (quotaExhausted && rateLimitReset) {
+      delay = Number(rateLimitReset) * 1000 - Date.now();
+    } else {
+      // Exponential backoff with jitter: between half and all of retryDelay * 2^attempt
+      const backoff = this.retryDelay * 2 ** attempt;
+      delay = backoff / 2 + Math.random() * backoff / 2;
+    }
+
+    delay = Math.max(0, Math.round(delay));
+    return delay > MAX_WAIT_MS ? null : delay;
+  }
+
+  async wait(delay, reason) {
+    this.stats.retries++;
+    this.stats.waitedMs += delay;
+    console.warn(`⏳ ${this.label}: ${reason}, retrying in ${(delay / 1000).toFixed(1)}s`);
+    await sleep(delay);
+  }
+
+  async acquire() {
+    if (this.stats.requests >= this.requestBudget) {
+      throw new Error(`${this.label} exceeded its request budget of ${this.requestBudget} requests for this sync`);
+    }
+    this.stats.requests++;
+
+    if (!this.ratePerMinute) {
+      return;
+    }
+
+    while (true) {
+      const now = Date.now();
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) * this.ratePerMinute / 60000);
+      this.refilledAt = now;
+
+      if (this.tokens >= 1) {
+        this.tokens--;
+        return;
+      }
+
+      const delay = Math.ceil((1 - this.tokens) * 60000 / this.ratePerMinute);
+      this.stats.waitedMs += delay;
+      await sleep(delay);
+    }
+  }
+
+  summary() {
+    const { requests, retries, rateLimited, waitedMs } = this.stats;
+    let summary = `${requests} API requests`;
+    if (retries > 0) {
+      summary += `, ${retries} retries (${rateLimited} rate limited)`;
+    }
+    if (waitedMs > 0) {
+      summary += `, ${(waitedMs / 1000).toFixed(1)}s waiting`;
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,214 @@
+// Helpers shared by the calendar integrations so every calendar source produces
+// the same eventType values and meeting links for the same kind of event.
+
+// Sources that mark focus time themselves (Google) pass isFocusTime; for the
+// others, an event without other attendees is guessed to be focus time.
+export function categorizeEvent({ title = '', description = '', attendeeCount = 0, isFocusTime }) {
+  const combined = `${title} ${description}`.toLowerCase();
+
+  if (isFocusTime) {
+    return 'focus_time';
+  }
+
+  // Meeting categories
+  if (combined.includes('standup') || combined.includes('stand up') || combined.includes('daily')) {
+    return 'standup';
+  }
+
+  if (combined.includes('retro') || combined.includes('retrospective')) {
+    return 'retrospective';
+  }
+
+  if (combined.includes('planning') || combined.includes('sprint planning')) {
+    return 'planning';
+  }
+
+  if (combined.includes('review') || combined.includes('demo')) {
+    return 'review';
+  }
+
+  if (combined.includes('1:1') || combined.includes('one on one') || combined.includes('1-on-1')) {
+    return 'one_on_one';
+  }
+
+  if (combined.includes('interview') || combined.includes('screening')) {
+    return 'interview';
+  }
+
+  if (combined.includes('all hands') || combined.includes('town hall') || combined.includes('company')) {
+    return 'all_hands';
+  }
+
+  if (combined.includes('training') || combined.includes('workshop') || combined.includes('learning')) {
+    return 'training';
+  }
+
+  // Default to meeting
+  if (attendeeCount > 1) {
+    return 'meeting';
+  }
+
+  return isFocusTime === false ? 'blocked_time' : 'focus_time';
+}
+
+export function extractMeetingLink(content) {
+  // Common meeting link patterns
+  const patterns = [
+    /https:\/\/meet\.google\.com\/[a-z-]+/i,
+    /https:\/\/zoom\.us\/j\/\d+/i,
+    /https:\/\/.*\.zoom\.us\/j\/\d+/i,
+    /https:\/\/teams\.microsoft\.com\/l\/meetup-join\/[^\\s]+/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = (content || '').match(pattern);
+    if (match) {
+      return match[0];
+    }
+  }
+
+  return null;
+}
+
+export function matchesCalendarFilters(config, name, id) {
+  const calendarName = (name || '').toLowerCase();
+  const calendarId = (id || '').toLowerCase();
+
+  // If includeCalendars is specified, only include those calendars
+  if (config.includeCalendars && config.includeCalendars.length > 0) {
+    const shouldInclude = config.includeCalendars.some(included => {
+      const includedLower = included.toLowerCase();
+      return calendarName.includes(includedLower) ||
+             calendarId.includes(includedLower);
+    });
+
+    if (!shouldInclude) {
+      return false;
+    }
+  }
+
+  // Skip excluded calendars
+  if ((config.excludeCalendars || []).some(excluded =>
+    calendarName.includes(excluded.toLowerCase()) ||
+    calendarId.includes(excluded.toLowerCase())
+  )) {
+    return false;
+  }
+
+  // Skip calendars matching excluded patterns
+  if ((config.excludeCalendarPatterns || []).some(pattern => {
+    const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
+    return regex.test(calendarName) || regex.test(calendarId);
+  })) {
+    return false;
+  }
+
+  return true;
+}
+
+export function isExcludedEventTitle(config, title) {
+  const eventTitle = (title || '').toLowerCase();
+
+  // Skip excluded event titles
+  if (config.excludeEvents && config.excludeEvents.some(excluded =>
+    eventTitle === excluded.toLowerCase()
+  )) {
+    return true;
+  }
+
+  // Skip events matching excluded patterns
+  return Boolean(config.excludeEventPatterns && config.excludeEventPatterns.some(pattern => {
+    const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
+    return regex.test(eventTitle);
+  }));
+}
+
+// A leading or trailing * matches any surrounding text, but the pattern's own
+// text must start and end on word boundaries: "*pto*" matches "PTO - Friday"
+// but not "Laptop refresh" or "Crypto offsite"
+function timeOffRegex(pattern) {
+  const text = pattern.replace(/^\*+|\*+$/g, '');
+  const body = text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const start = !pattern.startsWith('*') ? '^' : /^\w/.test(text) ? '\\b' : '';
+  const end = !pattern.endsWith('*') ? '$' : /\w$/.test(text) ? '\\b' : '';
+  return new RegExp(`${start}${body}${end}`, 'i');
+}
+
+export function isTimeOffTitle(config, title) {
+  return (config.timeOffPatterns || []).some(pattern => timeOffRegex(pattern).test(title || ''));
+}
+
+// Occurrences and hours per recurring series, e.g. "Weekly sync: 4 occurrences, 2h"
+export function aggregateRecurringMeetings(events) {
+  const series = new Map();
+
+  for (const event of events) {
+    if (!event.recurringEventId || event.type !== 'calendar_event') continue;
+
+    const entry = series.get(event.recurringEventId) || { title: event.title, occurrences: 0, minutes: 0 };
+    entry.occurrences++;
+    entry.minutes += event.duration;
+    series.set(event.recurringEventId, entry);
+  }
+
+  return [...series.values()]
+    .map(({ title, occurrences, minutes }) => ({ title, occurrences, hours: Math.round(minutes / 60 * 100) / 100 }))
+    .sort((a, b) => b.hours - a.hours);
+}
+
+function emailDomain(email) {
+  return (email || '').split('@')[1]?.toLowerCase() || '';
+}
+
+// Attendees normalized to { email, name, responseStatus, organizer, self } by each
+// source. Returns the other (non-declined, non-room) attendees classified as
+// internal or external, plus the organizer. Without configured internalDomains
+// the domain of your own address counts as internal.
+export function processAttendees(config, attendees, organizer = null) {
+  const internalDomains = (config.internalDomains || []).map(domain => domain.toLowerCase());
+  if (internalDomains.length === 0) {
+    internalDomains.push(...attendees.filter(attendee => attendee.self).map(attendee => emailDomain(attendee.email)));
+  }
+  const isInternal = email => internalDomains.length === 0 || internalDomains.some(domain =>
+    emailDomain(email) === domain || emailDomain(email).endsWith(`.${domain}`));
+
+  const others = attendees
+    .filter(attendee => !attendee.self && attendee.responseStatus !== 'declined')
+    .map(attendee => ({
+      email: attendee.email,
+      name: attendee.name || attendee.email,
+      responseStatus: attendee.responseStatus,
+      organizer: Boolean(attendee.organizer),
+      internal: isInternal(attendee.email),
+    }));
+
+  const externalAttendeeCount = others.filter(attendee => !attendee.internal).length;
+
+  return {
+    attendees: others,
+    organizer: organizer ? { email: organizer.email, name: organizer.name || organizer.email, self: Boolean(organizer.self) } : null,
+    externalAttendeeCount,
+    isExternal: externalAttendeeCount > 0,
+  };
+}
+
+// Meetings and hours per person across calendar events, most time first
+export function aggregateAttendees(events) {
+  const people = new Map();
+
+  for (const event of events) {
+    if (event.type !== 'calendar_event') continue;
+
+    for (const attendee of event.attendees || []) {
+      const key = (attendee.email || attendee.name).toLowerCase();
+      const entry = people.get(key) || { name: attendee.name, email: attendee.email, internal: attendee.internal, meetings: 0, minutes: 0 };
+      entry.meetings++;
+      entry.minutes += event.duration;
+      people.set(key, entry);
+    }
+  }
+
+  return [...people.values()]
+    .map(({ minutes, ...person }) => ({ ...person, hours: Math.round(minutes / 60 * 100) / 100 }))
+    .sort((a, b) => b.hours - a.hours);
+}
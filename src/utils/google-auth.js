@@ -0,0 +1,80 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { google } from 'googleapis';
+
+// One Google token serves every Google integration. Each integration declares
+// the scopes it needs; the setup script asks for the missing ones incrementally
+// (include_granted_scopes) so an existing calendar token can be upgraded.
+export const GOOGLE_TOKEN_PATH = './data/google-token.json';
+export const GOOGLE_SCOPES = {
+  gcal: ['https://www.googleapis.com/auth/calendar.readonly'],
+  gdrive: ['https://www.googleapis.com/auth/drive.activity.readonly'],
+};
+
+// Scopes the token needs for the enabled integrations. Calendar is always
+// requested so refreshing the token never drops it.
+export function getGoogleScopes(config) {
+  const scopes = [...GOOGLE_SCOPES.gcal];
+  if (config?.integrations?.gdrive?.enabled) {
+    scopes.push(...GOOGLE_SCOPES.gdrive);
+  }
+  return scopes;
+}
+
+export function getMissingGoogleScopes(token, scopes) {
+  const granted = (token?.scope || '').split(' ');
+  return scopes.filter(scope => !granted.includes(scope));
+}
+
+export async function loadGoogleCredentials() {
+  const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
+  if (!credentialsPath) {
+    throw new Error('GOOGLE_CREDENTIALS_PATH environment variable not set');
+  }
+  return fs.readJson(credentialsPath);
+}
+
+export function createGoogleOAuthClient(credentials) {
+  const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web || credentials;
+  const redirectUri = redirect_uris?.[0] || 'urn:ietf:wg:oauth:2.0:oob';
+  return new google.auth.OAuth2(client_id, client_secret, redirectUri);
+}
+
+export async function loadGoogleToken() {
+  if (!(await fs.pathExists(GOOGLE_TOKEN_PATH))) {
+    return null;
+  }
+  return fs.readJson(GOOGLE_TOKEN_PATH);
+}
+
+export async function saveGoogleToken(token) {
+  await fs.ensureDir(path.dirname(GOOGLE_TOKEN_PATH));
+  await fs.writeJson(GOOGLE_TOKEN_PATH, token, { spaces: 2 });
+}
+
+// Auth client for the Google APIs: a service account when the credentials file
+// is one (recommended), otherwise the OAuth token from setup-google-oauth.js
+export async function createGoogleAuth(scopes) {
+  const credentials = await loadGoogleCredentials();
+
+  if (credentials.type === 'service_account') {
+    return new google.auth.GoogleAuth({
+      keyFile: process.env.GOOGLE_CREDENTIALS_PATH,
+      scopes,
+    });
+  }
+
+  const token = await loadGoogleToken();
+  if (!token) {
+    throw new Error(`Google OAuth token not found at ${GOOGLE_TOKEN_PATH}. Please run: node setup-google-oauth.js`);
+  }
+
+  const missing = getMissingGoogleScopes(token, scopes);
+  if (token.scope && missing.length > 0) {
+    throw new Error(`Google token is missing scopes (${missing.join(', ')}). Please run: node setup-google-oauth.js`);
+  }
+
+  const oAuth2Client = createGoogleOAuthClient(credentials);
+  oAuth2Client.setCredentials(token);
+  return oAuth2Client;
+}
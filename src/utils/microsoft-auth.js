@@ -0,0 +1,129 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Device-code OAuth for Microsoft Graph: works from a terminal without a redirect
+// URI, and the refresh token keeps syncs running unattended afterwards.
+export const MICROSOFT_TOKEN_PATH = './data/microsoft-token.json';
+export const MICROSOFT_SCOPES = ['offline_access', 'User.Read', 'Calendars.Read'];
+
+export function getMicrosoftAuthConfig(config = {}) {
+  return {
+    clientId: config.clientId || process.env.MS_CLIENT_ID,
+    tenantId: config.tenantId || process.env.MS_TENANT_ID || 'common',
+  };
+}
+
+async function postForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+  return { ok: response.ok, status: response.status, body: await response.json() };
+}
+
+function authorityUrl({ tenantId }, endpoint) {
+  return `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/${endpoint}`;
+}
+
+export async function requestDeviceCode(auth) {
+  if (!auth.clientId) {
+    throw new Error('MS_CLIENT_ID environment variable not set');
+  }
+
+  const { ok, status, body } = await postForm(authorityUrl(auth, 'devicecode'), {
+    client_id: auth.clientId,
+    scope: MICROSOFT_SCOPES.join(' '),
+  });
+
+  if (!ok) {
+    throw new Error(`Device code request failed: ${status} - ${body.error_description || body.error}`);
+  }
+
+  return body;
+}
+
+// Poll the token endpoint until the user finishes signing in (or the code expires)
+export async function pollForToken(auth, deviceCode) {
+  let interval = (deviceCode.interval || 5) * 1000;
+  const expiresAt = Date.now() + (deviceCode.expires_in || 900) * 1000;
+
+  while (Date.now() < expiresAt) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+
+    const { ok, body } = await postForm(authorityUrl(auth, 'token'), {
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+      client_id: auth.clientId,
+      device_code: deviceCode.device_code,
+    });
+
+    if (ok) {
+      return body;
+    }
+
+    if (body.error === 'authorization_pending') {
+      continue;
+    }
+    if (body.error === 'slow_down') {
+      interval += 5000;
+      continue;
+    }
+
+    throw new Error(body.error_description || body.error);
+  }
+
+  throw new Error('Device code expired before sign-in completed');
+}
+
+export async function refreshMicrosoftToken(auth, refreshToken) {
+  const { ok, status, body } = await postForm(authorityUrl(auth, 'token'), {
+    grant_type: 'refresh_token',
+    client_id: auth.clientId,
+    refresh_token: refreshToken,
+    scope: MICROSOFT_SCOPES.join(' '),
+  });
+
+  if (!ok) {
+    const error = new Error(`Token refresh failed: ${status} - ${body.error_description || body.error}`);
+    error.code = body.error;
+    throw error;
+  }
+
+  return body;
+}
+
+export async function saveMicrosoftToken(token) {
+  await fs.ensureDir(path.dirname(MICROSOFT_TOKEN_PATH));
+  await fs.writeJson(MICROSOFT_TOKEN_PATH, {
+    ...token,
+    expires_at: Date.now() + (token.expires_in || 3600) * 1000,
+  }, { spaces: 2 });
+}
+
+export async function loadMicrosoftToken() {
+  if (!(await fs.pathExists(MICROSOFT_TOKEN_PATH))) {
+    return null;
+  }
+  return fs.readJson(MICROSOFT_TOKEN_PATH);
+}
+
+// Return a usable access token, refreshing (and persisting) it when it is about to expire
+export async function getMicrosoftAccessToken(auth) {
+  const token = await loadMicrosoftToken();
+  if (!token) {
+    throw new Error(`Microsoft token not found at ${MICROSOFT_TOKEN_PATH}. Please run: node setup-microsoft-oauth.js`);
+  }
+
+  if (token.expires_at && token.expires_at - 60 * 1000 > Date.now()) {
+    return token.access_token;
+  }
+
+  if (!token.refresh_token) {
+    throw new Error('Microsoft token expired and has no refresh token. Please run: node setup-microsoft-oauth.js');
+  }
+
+  const refreshed = await refreshMicrosoftToken(auth, token.refresh_token);
+  // Microsoft may omit a new refresh token; keep the old one in that case
+  await saveMicrosoftToken({ refresh_token: token.refresh_token, ...refreshed });
+  return refreshed.access_token;
+}
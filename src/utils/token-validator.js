@@ -1,6 +1,8 @@
 import fs from 'fs-extra';
 import { google } from 'googleapis';
 import chalk from 'chalk';
+import { getMicrosoftAuthConfig, getMicrosoftAccessToken, loadMicrosoftToken } from './microsoft-auth.js';
+import { GOOGLE_SCOPES, createGoogleAuth, getGoogleScopes, getMissingGoogleScopes, loadGoogleCredentials, loadGoogleToken } from './google-auth.js';
 
 export class TokenValidator {
   constructor() {
@@ -82,7 +84,115 @@ export class TokenValidator {
     }
   }
 
-  async promptTokenRefresh() {
+  // Drive Activity shares the calendar token, so check it was granted the Drive scope
+  async validateGoogleDriveToken() {
+    try {
+      const credentials = await loadGoogleCredentials();
+
+      if (credentials.type !== 'service_account') {
+        const token = await loadGoogleToken();
+        if (!token) {
+          return {
+            valid: false,
+            error: 'Token file not found',
+            needsRefresh: true
+          };
+        }
+
+        const missing = getMissingGoogleScopes(token, GOOGLE_SCOPES.gdrive);
+        if (missing.length > 0) {
+          return {
+            valid: false,
+            error: `Token lacks Drive access (${missing.join(', ')})`,
+            needsRefresh: true
+          };
+        }
+      }
+
+      const auth = await createGoogleAuth(GOOGLE_SCOPES.gdrive);
+      const driveActivity = google.driveactivity({ version: 'v2', auth });
+
+      try {
+        await driveActivity.activity.query({ requestBody: { pageSize: 1 } });
+        return {
+          valid: true,
+          error: null,
+          needsRefresh: false
+        };
+      } catch (apiError) {
+        return {
+          valid: false,
+          error: `API Error: ${apiError.message}`,
+          needsRefresh: apiError.code === 401 || apiError.message.includes('invalid_grant')
+        };
+      }
+    } catch (error) {
+      return {
+        valid: false,
+        error: `Validation Error: ${error.message}`,
+        needsRefresh: false
+      };
+    }
+  }
+
+  async validateMicrosoftToken(integrationConfig = {}) {
+    try {
+      if (!await loadMicrosoftToken()) {
+        return {
+          valid: false,
+          error: 'Token file not found',
+          needsRefresh: true
+        };
+      }
+
+      const auth = getMicrosoftAuthConfig(integrationConfig);
+      if (!auth.clientId) {
+        return {
+          valid: false,
+          error: 'MS_CLIENT_ID not set',
+          needsRefresh: false
+        };
+      }
+
+      let accessToken;
+      try {
+        accessToken = await getMicrosoftAccessToken(auth);
+      } catch (refreshError) {
+        return {
+          valid: false,
+          error: refreshError.message,
+          needsRefresh: true
+        };
+      }
+
+      // Test the token by making a simple API call
+      const response = await fetch('https://graph.microsoft.com/v1.0/me', {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      if (response.ok) {
+        return {
+          valid: true,
+          error: null,
+          needsRefresh: false
+        };
+      }
+
+      return {
+        valid: false,
+        error: `API Error: ${response.status}`,
+        needsRefresh: response.status === 401
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        error: `Validation Error: ${error.message}`,
+        needsRefresh: false
+      };
+    }
+  }
+
+  async promptTokenRefresh(scopes = GOOGLE_SCOPES.gcal) {
     console.log(chalk.yellow('⚠️  Google Calendar token has expired or is invalid'));
     console.log(chalk.blue('🔄 Opening browser to refresh your token...'));
     
@@ -103,7 +213,8 @@ export class TokenValidator {
       // Generate auth URL
       const authUrl = oAuth2Client.generateAuthUrl({
         access_type: 'offline',
-        scope: ['https://www.googleapis.com/auth/calendar.readonly'],
+        scope: scopes,
+        include_granted_scopes: true,
         prompt: 'consent'
       });
 
@@ -136,7 +247,7 @@ export class TokenValidator {
 export async function validateGCalTokenBeforeRun() {
   // Only validate if Google Calendar is enabled
   const config = await import('../config/config.js').then(m => m.default);
-  await config.load();
+  const loadedConfig = await config.load();
   
   if (!config.get('integrations.gcal.enabled')) {
     return true; // Skip validation if GCal is disabled
@@ -149,7 +260,7 @@ export async function validateGCalTokenBeforeRun() {
     console.log(chalk.red('❌ Google Calendar authentication failed'));
     console.log(chalk.yellow('Token needs to be refreshed before continuing...'));
     
-    const success = await validator.promptTokenRefresh();
+    const success = await validator.promptTokenRefresh(getGoogleScopes(loadedConfig));
     if (!success) {
       console.log(chalk.red('⚠️  Please refresh your Google Calendar token and try again'));
       return false;
@@ -161,4 +272,56 @@ export async function validateGCalTokenBeforeRun() {
   
   console.log(chalk.green('✅ Google Calendar token is valid'));
   return true;
-}
\ No newline at end of file
+}
+
+export async function validateOutlookTokenBeforeRun() {
+  const config = await import('../config/config.js').then(m => m.default);
+  await config.load();
+
+  if (!config.get('integrations.outlook.enabled')) {
+    return true; // Skip validation if Outlook is disabled
+  }
+
+  const validator = new TokenValidator();
+  const result = await validator.validateMicrosoftToken(config.get('integrations.outlook'));
+
+  if (!result.valid) {
+    console.log(chalk.red('❌ Microsoft 365 calendar validation failed:'), result.error);
+    if (result.needsRefresh) {
+      console.log(chalk.yellow('Sign in again with: node setup-microsoft-oauth.js'));
+    }
+    return false;
+  }
+
+  console.log(chalk.green('✅ Microsoft 365 token is valid'));
+  return true;
+}
+
+export async function validateGDriveTokenBeforeRun() {
+  const config = await import('../config/config.js').then(m => m.default);
+  const loadedConfig = await config.load();
+
+  if (!config.get('integrations.gdrive.enabled')) {
+    return true; // Skip validation if Drive is disabled
+  }
+
+  const validator = new TokenValidator();
+  const result = await validator.validateGoogleDriveToken();
+
+  if (!result.valid && result.needsRefresh) {
+    console.log(chalk.red('❌ Google Drive authentication failed:'), result.error);
+    console.log(chalk.yellow('Token needs to be refreshed before continuing...'));
+
+    const success = await validator.promptTokenRefresh(getGoogleScopes(loadedConfig));
+    if (!success) {
+      console.log(chalk.red('⚠️  Please refresh your Google token and try again'));
+      return false;
+    }
+  } else if (!result.valid) {
+    console.log(chalk.red('❌ Google Drive validation failed:'), result.error);
+    return false;
+  }
+
+  console.log(chalk.green('✅ Google Drive access is valid'));
+  return true;
+}
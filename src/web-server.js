@@ -10,7 +10,14 @@ import dotenv from 'dotenv';
 import ConfigManager from './config/config.js';
 import StorageService from './services/storage.js';
 import JournalService from './services/journal.js';
-import { validateGCalTokenBeforeRun } from './utils/token-validator.js';
+import {
+  listIntegrations,
+  loadIntegrations,
+  selectIntegrations,
+  validateCredentials,
+  isEnabled,
+} from './integrations/registry.js';
+import { getGoogleScopes } from './utils/google-auth.js';
 import { spawn } from 'child_process';
 
 dotenv.config();
@@ -34,6 +41,7 @@ let journalService;
 async function initializeServices() {
   try {
     config = await ConfigManager.load();
+    await loadIntegrations(config);
     storage = new StorageService(config);
     journalService = new JournalService(config);
   } catch (error) {
@@ -279,20 +287,21 @@ app.post('/api/sync', async (req, res) => {
 // Run (sync + generate) - the main command
 app.post('/api/run', async (req, res) => {
   try {
-    const { days, startDate, endDate } = req.body;
+    const { integration, days, startDate, endDate } = req.body;
     
-    // Validate Google Calendar token before running
-    console.log('🔍 Validating Google Calendar token...');
-    const tokenValid = await validateGCalTokenBeforeRun();
+    // Validate credentials (e.g. Google Calendar token) of the integrations being run
+    console.log('🔍 Validating integrations...');
+    const tokenValid = await validateCredentials(selectIntegrations(config, integration));
     if (!tokenValid) {
       return res.status(400).json({
         success: false,
-        message: 'Google Calendar token expired or invalid. Please refresh your token.',
+        message: 'Integration credentials expired or invalid. Please refresh your token.',
         needsTokenRefresh: true
       });
     }
     
-    let args = ['src/cli.js', 'run'];
+    const integrationArgs = integration ? ['--integration', integration] : [];
+    let args = ['src/cli.js', 'run', ...integrationArgs];
     let actualDays = days;
     
     // Handle specific date range
@@ -323,7 +332,7 @@ app.post('/api/run', async (req, res) => {
     
     if (actualDays && actualDays > 1) {
       // Use sync with days parameter for multi-day runs
-      args = ['src/cli.js', 'sync', '--days', actualDays.toString()];
+      args = ['src/cli.js', 'sync', '--days', actualDays.toString(), ...integrationArgs];
       
       const syncChild = spawn('node', args, {
         cwd: process.cwd(),
@@ -505,15 +514,26 @@ app.put('/api/config', async (req, res) => {
 app.get('/api/env-status', (req, res) => {
   const envStatus = {
     ANTHROPIC_API_KEY: !!process.env.ANTHROPIC_API_KEY,
-    SLACK_BOT_TOKEN: !!process.env.SLACK_BOT_TOKEN,
-    GITHUB_TOKEN: !!process.env.GITHUB_TOKEN,
-    GOOGLE_CREDENTIALS_PATH: !!process.env.GOOGLE_CREDENTIALS_PATH,
-    JIRA_API_TOKEN: !!process.env.JIRA_API_TOKEN
   };
+
+  for (const Integration of listIntegrations()) {
+    for (const name of Integration.requiredEnv || []) {
+      envStatus[name] = !!process.env[name];
+    }
+  }
   
   res.json(envStatus);
 });
 
+// List registered integrations (built-in and plugins)
+app.get('/api/integrations', (req, res) => {
+  res.json(listIntegrations().map(Integration => ({
+    id: Integration.id,
+    label: Integration.label || Integration.id,
+    enabled: config ? isEnabled(config, Integration) : false
+  })));
+});
+
 // Check Google Calendar token status and get refresh URL if needed
 app.get('/api/gcal-token-status', async (req, res) => {
   try {
@@ -535,7 +555,8 @@ app.get('/api/gcal-token-status', async (req, res) => {
         
         const authUrl = oAuth2Client.generateAuthUrl({
           access_type: 'offline',
-          scope: ['https://www.googleapis.com/auth/calendar.readonly'],
+          scope: getGoogleScopes(config),
+          include_granted_scopes: true,
           prompt: 'consent'
         });
         
@@ -3,12 +3,14 @@ let journals = [];
 let currentJournal = null;
 let isEditing = false;
 let originalContent = '';
+let integrations = [];
 
 // API base URL
 const API_BASE = '/api';
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadIntegrations();
     loadJournals();
     loadStatus();
     loadEnvStatus();
@@ -232,6 +234,21 @@ function exitEditMode() {
     document.querySelector('[onclick="editJournal()"]').style.display = 'inline-flex';
 }
 
+// Integrations registered on the server (built-in and plugins)
+async function loadIntegrations() {
+    try {
+        const response = await fetch(`${API_BASE}/integrations`);
+        integrations = await response.json();
+        
+        const select = document.getElementById('advanced-sync-integration');
+        select.innerHTML = '<option value="">All integrations</option>' + integrations
+            .map(integration => `<option value="${integration.id}">${integration.label}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Error loading integrations:', error);
+    }
+}
+
 // Status management
 async function loadStatus() {
     try {
@@ -252,14 +269,12 @@ function formatSyncStatus(status) {
         return '<span class="text-muted">No sync data available</span>';
     }
     
-    const integrations = ['slack', 'github', 'gcal', 'jira'];
-    
     return integrations.map(integration => {
-        const timestamp = status[integration]?.lastSync;
+        const timestamp = status[integration.id]?.lastSync;
         if (timestamp) {
-            return `<div><strong>${integration.toUpperCase()}:</strong> ${formatDateTime(timestamp)}</div>`;
+            return `<div><strong>${integration.label}:</strong> ${formatDateTime(timestamp)}</div>`;
         }
-        return `<div><strong>${integration.toUpperCase()}:</strong> <span class="text-muted">Never synced</span></div>`;
+        return `<div><strong>${integration.label}:</strong> <span class="text-muted">Never synced</span></div>`;
     }).join('');
 }
 
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adfToText } from '../src/utils/adf.js';
+
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks && { marks }) });
+const listItem = (...content) => ({ type: 'listItem', content });
+
+test('passes strings through and treats missing values as empty', () => {
+  assert.equal(adfToText('h1. Wiki *markup*'), 'h1. Wiki *markup*');
+  assert.equal(adfToText(null), '');
+  assert.equal(adfToText(undefined), '');
+});
+
+test('renders paragraphs and inline marks as Markdown', () => {
+  assert.equal(adfToText(doc(
+    paragraph(text('Fix '), text('login', [{ type: 'strong' }]), text(' in '), text('auth.js', [{ type: 'code' }])),
+    paragraph(text('See '), text('the docs', [{ type: 'link', attrs: { href: 'https://example.com' } }])),
+  )), 'Fix **login** in `auth.js`\n\nSee [the docs](https://example.com)');
+});
+
+test('indents nested lists under their parent item', () => {
+  const adf = doc({
+    type: 'bulletList',
+    content: [
+      listItem(
+        paragraph(text('Backend')),
+        {
+          type: 'orderedList',
+          attrs: { order: 3 },
+          content: [
+            listItem(paragraph(text('Migrate schema'))),
+            listItem(
+              paragraph(text('Backfill')),
+              { type: 'bulletList', content: [listItem(paragraph(text('users table')))] },
+            ),
+          ],
+        },
+      ),
+      listItem(paragraph(text('Frontend'))),
+    ],
+  });
+
+  assert.equal(adfToText(adf), [
+    '- Backend',
+    '  3. Migrate schema',
+    '  4. Backfill',
+    '    - users table',
+    '- Frontend',
+  ].join('\n'));
+});
+
+test('renders code blocks fenced with their language, including inside lists', () => {
+  const codeBlock = {
+    type: 'codeBlock',
+    attrs: { language: 'js' },
+    content: [text('const a = 1;\nconst b = 2;')],
+  };
+
+  assert.equal(adfToText(doc(paragraph(text('Repro:')), codeBlock)),
+    'Repro:\n\n```js\nconst a = 1;\nconst b = 2;\n```');
+
+  assert.equal(adfToText(doc({ type: 'bulletList', content: [listItem(paragraph(text('Run')), codeBlock)] })),
+    '- Run\n  ```js\n  const a = 1;\n  const b = 2;\n  ```');
+});
+
+test('renders mentions, statuses and unknown nodes by their text', () => {
+  assert.equal(adfToText(doc(paragraph(
+    { type: 'mention', attrs: { id: '123', text: '@Alex' } },
+    text(' moved it to '),
+    { type: 'status', attrs: { text: 'IN REVIEW' } },
+    { type: 'somethingNew', content: [text(' (new node)')] },
+  ))), '@Alex moved it to [IN REVIEW] (new node)');
+});
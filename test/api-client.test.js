@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiClient } from '../src/utils/api-client.js';
+
+const createClient = (sync = {}) => new ApiClient({ sync: { retryDelay: 0, ...sync } }, 'test', 'Test');
+
+const response = (status, headers = {}) => new Response(status === 200 ? '{}' : 'error', { status, headers });
+
+// Requests fail in the order given, then succeed
+function failingRequest(...failures) {
+  let calls = 0;
+  const request = async () => {
+    const failure = failures[calls++];
+    if (failure) throw failure;
+    return 'ok';
+  };
+  request.calls = () => calls;
+  return request;
+}
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, response: { headers } });
+
+test('429 waits for Retry-After given in seconds', () => {
+  const client = createClient();
+  assert.equal(client.getRetryDelay(response(429, { 'retry-after': '7' }), 0), 7000);
+  assert.equal(client.stats.rateLimited, 1);
+});
+
+test('429 waits for Retry-After given as an HTTP date', () => {
+  const client = createClient();
+  const retryAt = new Date(Date.now() + 30000).toUTCString();
+  const delay = client.getRetryDelay(response(429, { 'retry-after': retryAt }), 0);
+
+  // HTTP dates only have whole seconds
+  assert.ok(delay > 28000 && delay <= 30000, `unexpected delay ${delay}`);
+});
+
+test('GitHub 403 with x-ratelimit-remaining: 0 waits until x-ratelimit-reset', () => {
+  const client = createClient();
+  const reset = String(Math.floor(Date.now() / 1000) + 60);
+  const delay = client.getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }), 0);
+
+  assert.ok(delay > 58000 && delay <= 60000, `unexpected delay ${delay}`);
+  assert.equal(client.stats.rateLimited, 1);
+});
+
+test('a 403 that is not rate limiting is not retried', () => {
+  const client = createClient();
+  assert.equal(client.getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '4999' }), 0), null);
+});
+
+test('waits longer than five minutes are not retried', () => {
+  const client = createClient();
+  const reset = String(Math.floor(Date.now() / 1000) + 3600);
+  assert.equal(client.getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }), 0), null);
+  assert.equal(client.getRetryDelay(response(429, { 'retry-after': '600' }), 0), null);
+});
+
+test('5xx backs off exponentially with jitter', () => {
+  const client = createClient({ retryDelay: 1000 });
+
+  for (const attempt of [0, 1, 2]) {
+    const backoff = 1000 * 2 ** attempt;
+    const delay = client.getRetryDelay(response(503), attempt);
+    assert.ok(delay >= backoff / 2 && delay <= backoff, `attempt ${attempt}: unexpected delay ${delay}`);
+  }
+  assert.equal(client.stats.rateLimited, 0);
+});
+
+test('gives up once maxRetries is reached', () => {
+  const client = createClient({ maxRetries: 2 });
+  assert.notEqual(client.getRetryDelay(response(500), 1), null);
+  assert.equal(client.getRetryDelay(response(500), 2), null);
+});
+
+test('call() retries rate limits, server and network errors, then returns the result', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const client = createClient();
+  const request = failingRequest(
+    Object.assign(new Error('rate limited'), { retryAfter: 0 }),
+    httpError(502, {}),
+    Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+  );
+
+  assert.equal(await client.call(request), 'ok');
+  assert.equal(request.calls(), 4);
+  assert.deepEqual({ ...client.stats, waitedMs: 0 }, { requests: 4, retries: 3, rateLimited: 1, waitedMs: 0 });
+});
+
+test('call() rethrows errors that are not retriable', async () => {
+  const client = createClient();
+  const request = failingRequest(httpError(404, {}));
+
+  await assert.rejects(client.call(request), /HTTP 404/);
+  assert.equal(request.calls(), 1);
+});
+
+test('fetch() retries and returns the last response once retries run out', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const responses = [];
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+    responses.push(response(503));
+    return responses.at(-1);
+  });
+  const client = createClient({ maxRetries: 2 });
+
+  const result = await client.fetch('https://example.com');
+  assert.equal(result.status, 503);
+  assert.equal(fetchMock.mock.callCount(), 3);
+
+  // Retried responses have their bodies cancelled; the returned one is still readable
+  for (const retried of responses.slice(0, -1)) {
+    await assert.rejects(retried.text(), TypeError);
+  }
+  assert.equal(await result.text(), 'error');
+});
+
+test('requests beyond the budget fail without being sent', async () => {
+  const client = createClient({ requestBudget: 2 });
+  const request = failingRequest();
+
+  await client.call(request);
+  await client.call(request);
+  await assert.rejects(client.call(request), /exceeded its request budget of 2 requests/);
+  assert.equal(request.calls(), 2);
+});
+
+test('retries count against the budget', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const client = createClient({ requestBudget: 2 });
+  const request = failingRequest(httpError(500, {}), httpError(500, {}));
+
+  await assert.rejects(client.call(request), /request budget/);
+  assert.equal(request.calls(), 2);
+});
+
+test('the token bucket allows a burst, then spaces requests to the rate limit', async () => {
+  // 60 requests per minute: a burst of 10, then one per second
+  const client = createClient({ rateLimit: { test: 60 } });
+  const request = failingRequest();
+
+  for (let i = 0; i < 10; i++) {
+    await client.call(request);
+  }
+  assert.equal(client.stats.waitedMs, 0);
+
+  const started = Date.now();
+  await client.call(request);
+  const elapsed = Date.now() - started;
+
+  assert.ok(elapsed >= 900, `waited only ${elapsed}ms`);
+  assert.ok(client.stats.waitedMs >= 900 && client.stats.waitedMs <= 1100, `unexpected wait ${client.stats.waitedMs}`);
+});
+
+test('summary() reports requests, retries and time spent waiting', () => {
+  const client = createClient();
+  assert.equal(client.summary(), '0 API requests');
+
+  client.stats = { requests: 12, retries: 3, rateLimited: 2, waitedMs: 4500 };
+  assert.equal(client.summary(), '12 API requests, 3 retries (2 rate limited), 4.5s waiting');
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IcsCalendarIntegration from '../src/integrations/ics.js';
+
+const calendar = events => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//ajournal//test//EN',
+  ...events,
+  'END:VCALENDAR',
+].join('\r\n');
+
+const WEEKLY_SYNC = [
+  'BEGIN:VEVENT',
+  'UID:weekly-sync',
+  'DTSTAMP:20260101T000000Z',
+  'DTSTART:20261005T090000Z',
+  'DTEND:20261005T093000Z',
+  'RRULE:FREQ=WEEKLY;COUNT=4',
+  'EXDATE:20261012T090000Z',
+  'SUMMARY:Weekly sync',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:weekly-sync',
+  'DTSTAMP:20260101T000000Z',
+  'RECURRENCE-ID:20261019T090000Z',
+  'DTSTART:20261019T140000Z',
+  'DTEND:20261019T150000Z',
+  'SUMMARY:Weekly sync (moved)',
+  'END:VEVENT',
+];
+
+function createIntegration() {
+  return new IcsCalendarIntegration({ sync: {}, integrations: { ics: { selfEmails: ['me@example.com'] } } }, {});
+}
+
+test('expands RRULE occurrences in the window, skipping EXDATEs and applying RECURRENCE-ID overrides', () => {
+  const events = createIntegration().expandEvents(
+    calendar(WEEKLY_SYNC),
+    new Date('2026-10-01T00:00:00Z'),
+    new Date('2026-10-31T00:00:00Z'),
+  );
+
+  assert.deepEqual(events.map(event => [event.start.dateTime, event.end.dateTime, event.summary]), [
+    ['2026-10-05T09:00:00.000Z', '2026-10-05T09:30:00.000Z', 'Weekly sync'],
+    ['2026-10-19T14:00:00.000Z', '2026-10-19T15:00:00.000Z', 'Weekly sync (moved)'],
+    ['2026-10-26T09:00:00.000Z', '2026-10-26T09:30:00.000Z', 'Weekly sync'],
+  ]);
+  assert.ok(events.every(event => event.recurringEventId === 'weekly-sync'));
+});
+
+test('only returns occurrences inside the sync window', () => {
+  const events = createIntegration().expandEvents(
+    calendar(WEEKLY_SYNC),
+    new Date('2026-10-19T00:00:00Z'),
+    new Date('2026-10-20T00:00:00Z'),
+  );
+
+  assert.deepEqual(events.map(event => event.summary), ['Weekly sync (moved)']);
+});
+
+test('keeps an override whose master is missing as a standalone event', () => {
+  const events = createIntegration().expandEvents(
+    calendar(WEEKLY_SYNC.slice(9)),
+    new Date('2026-10-01T00:00:00Z'),
+    new Date('2026-10-31T00:00:00Z'),
+  );
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary, 'Weekly sync (moved)');
+  assert.equal(events[0].recurringEventId, null);
+});
+
+test('maps attendees, organizer and all-day dates to Google Calendar fields', () => {
+  const [event] = createIntegration().expandEvents(calendar([
+    'BEGIN:VEVENT',
+    'UID:planning',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART;VALUE=DATE:20261007',
+    'DTEND;VALUE=DATE:20261008',
+    'SUMMARY:Planning day',
+    'ORGANIZER;CN=Alex:mailto:alex@example.com',
+    'ATTENDEE;CN=Alex;PARTSTAT=ACCEPTED:mailto:alex@example.com',
+    'ATTENDEE;PARTSTAT=DECLINED:mailto:ME@example.com',
+    'END:VEVENT',
+  ]), new Date('2026-10-01T00:00:00Z'), new Date('2026-10-31T00:00:00Z'));
+
+  assert.deepEqual(event.start, { date: '2026-10-07' });
+  assert.deepEqual(event.organizer, { email: 'alex@example.com', displayName: 'Alex', self: false });
+  assert.deepEqual(event.attendees, [
+    { email: 'alex@example.com', displayName: 'Alex', responseStatus: 'accepted', organizer: true, self: false },
+    { email: 'me@example.com', displayName: undefined, responseStatus: 'declined', organizer: false, self: true },
+  ]);
+});